@@ -0,0 +1,206 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+
+/**
+ * The key used to store the variants the shopper subscribed to in local storage.
+ */
+const STORAGE_KEY = 'theme:back-in-stock';
+
+/**
+ * A custom element with a form to be notified by email when a sold out variant is back in stock.
+ *
+ * The request is sent through the storefront contact form, with the product and the variant in the message body, so
+ * it reaches the store's inbox. The variants the shopper subscribed to are remembered in the browser, and a
+ * confirmation is shown instead of the form when they select one of them again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} fields - The email input and the submit button.
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLInputElement} body - The message body input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} success - The confirmation message.
+ *
+ * @extends {Component<Refs>}
+ */
+class BackInStockForm extends Component {
+  requiredRefs = ['fields', 'email', 'body', 'submitButton', 'error', 'success'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+
+    const target = this.closest('.shopify-section, dialog, product-card');
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal: this.#abortController.signal,
+    });
+
+    this.#render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Sends the request for the selected variant.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async subscribe(event) {
+    event.preventDefault();
+
+    const { email, body, submitButton } = this.refs;
+    const form = this.querySelector('form');
+    const { variantId } = this.dataset;
+
+    if (!form || !variantId) return;
+
+    email.value = email.value.trim();
+
+    if (!email.checkValidity()) {
+      this.#showError(this.refs.error.dataset.invalidEmailMessage);
+      email.focus();
+      return;
+    }
+
+    this.#showError();
+    body.value = this.#getBody();
+    submitButton.disabled = true;
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const response = await fetch(form.action, { method: 'POST', body: new FormData(form) });
+      const { pathname, searchParams } = new URL(response.url);
+
+      // The store asked for a captcha, the form is submitted by the browser so the shopper can solve it
+      if (pathname.endsWith('/challenge')) {
+        addSubscription(variantId);
+        form.submit();
+        return;
+      }
+
+      if (!response.ok || !searchParams.has('contact_posted'))
+        throw new Error(`Contact form error: ${response.status}`);
+
+      addSubscription(variantId);
+      this.#render();
+    } catch (error) {
+      console.error(error);
+      this.#showError(this.refs.error.dataset.errorMessage);
+    } finally {
+      submitButton.disabled = false;
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Shows the form for a sold out variant, or the confirmation when the shopper already subscribed to it.
+   */
+  #render() {
+    const { fields, success } = this.refs;
+    const subscribed = !!this.dataset.variantId && getSubscriptions().includes(this.dataset.variantId);
+
+    fields.classList.toggle('hidden', subscribed);
+    success.classList.toggle('hidden', !subscribed);
+  }
+
+  /**
+   * Follows the selected variant, the form is only shown for sold out variants.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+      this.dataset.productUrl = event.detail.data.newProduct.url;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = /** @type {{ id: string, available: boolean, title?: string } | null} */ (event.detail.resource);
+
+    this.classList.toggle('hidden', !variant || variant.available);
+    this.dataset.variantId = variant ? String(variant.id) : '';
+    this.dataset.variantTitle = variant?.title ?? '';
+
+    this.#showError();
+    this.#render();
+  };
+
+  /**
+   * Gets the message body, with the product and the variant the shopper subscribed to.
+   * @returns {string}
+   */
+  #getBody() {
+    const { productTitle = '', productUrl = '', variantId = '', variantTitle = '' } = this.dataset;
+    const url = new URL(productUrl, window.location.origin);
+
+    url.searchParams.set('variant', variantId);
+
+    return (this.dataset.bodyTemplate ?? '')
+      .replace('[product]', productTitle)
+      .replace('[variant]', variantTitle)
+      .replace('[variant_id]', variantId)
+      .replace('[url]', url.toString());
+  }
+
+  /**
+   * Shows an error message under the email input, or hides it.
+   * @param {string} [message] - The message.
+   */
+  #showError(message = '') {
+    const { email, error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+
+    if (message) {
+      email.setAttribute('aria-invalid', 'true');
+    } else {
+      email.removeAttribute('aria-invalid');
+    }
+  }
+}
+
+/**
+ * Gets the ids of the variants the shopper subscribed to.
+ * @returns {string[]}
+ */
+function getSubscriptions() {
+  try {
+    const subscriptions = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(subscriptions) ? subscriptions : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Remembers that the shopper subscribed to a variant.
+ * @param {string} variantId - The variant id.
+ */
+function addSubscription(variantId) {
+  const subscriptions = getSubscriptions().filter((id) => id !== variantId);
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...subscriptions, variantId]));
+  } catch (_) {
+    // Storage may be full or unavailable, the subscription just isn't remembered
+  }
+}
+
+if (!customElements.get('back-in-stock-form')) {
+  customElements.define('back-in-stock-form', BackInStockForm);
+}
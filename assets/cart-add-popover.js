@@ -0,0 +1,168 @@
+import { Component } from '@theme/component';
+import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+
+/** @typedef {import('./cart').CartLine} CartLine */
+
+/**
+ * The time the popover stays open, in milliseconds, unless it's hovered or focused.
+ */
+const AUTO_HIDE_DELAY = 5000;
+
+/**
+ * A custom element that confirms items were added to the cart with a popover anchored to the cart icon. It shows
+ * the added lines, the cart subtotal and links to the cart and the checkout.
+ *
+ * Adds made from the cart itself, e.g. from its recommendations, aren't confirmed.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} popover - The popover.
+ * @property {HTMLUListElement} items - The list of added lines.
+ * @property {HTMLTemplateElement} itemTemplate - The template of an added line.
+ * @property {HTMLElement} subtotal - The cart subtotal.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAddPopover extends Component {
+  requiredRefs = ['popover', 'items', 'itemTemplate', 'subtotal'];
+
+  /** @type {number | undefined} */
+  #hideTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { popover } = this.refs;
+
+    document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    popover.addEventListener('pointerenter', this.#cancelHide);
+    popover.addEventListener('pointerleave', this.#scheduleHide);
+    popover.addEventListener('focusin', this.#cancelHide);
+    popover.addEventListener('focusout', this.#scheduleHide);
+    popover.addEventListener('keydown', this.#handleKeyDown);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    clearTimeout(this.#hideTimeout);
+  }
+
+  /**
+   * Shows the popover for a successful add.
+   * @param {Event} event - The cart update event.
+   */
+  #handleCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+    if (event.target instanceof Element && event.target.closest('cart-items-component, cart-upsell')) return;
+
+    const items = event.detail.data.items ?? [];
+
+    if (items.length) this.show(items);
+  };
+
+  /**
+   * Shows the popover with the added lines.
+   * @param {CartLine[]} items - The added lines.
+   */
+  show(items) {
+    const { popover, items: list, subtotal } = this.refs;
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item)));
+    subtotal.textContent = formatCents(cartStore.get().items_subtotal_price);
+
+    if (!CSS.supports('position-anchor: --cart-icon')) this.#updatePosition();
+    if (!popover.matches(':popover-open')) popover.showPopover();
+
+    this.#scheduleHide();
+  }
+
+  /**
+   * Closes the popover.
+   */
+  close() {
+    const { popover } = this.refs;
+
+    clearTimeout(this.#hideTimeout);
+    if (popover.matches(':popover-open')) popover.hidePopover();
+  }
+
+  /**
+   * Renders an added line.
+   * @param {CartLine} item - The line.
+   * @returns {Node} The rendered line.
+   */
+  #renderItem(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const image = fragment.querySelector('.cart-add-popover__image');
+    const title = fragment.querySelector('.cart-add-popover__title');
+    const variant = fragment.querySelector('.cart-add-popover__variant');
+    const quantity = fragment.querySelector('.cart-add-popover__quantity');
+
+    if (image instanceof HTMLImageElement) {
+      if (item.image) {
+        const url = new URL(item.image, window.location.href);
+        url.searchParams.set('width', '160');
+        image.src = url.toString();
+      } else {
+        image.remove();
+      }
+    }
+
+    if (title) title.textContent = item.product_title ?? item.title;
+
+    if (variant) {
+      if (item.variant_title) variant.textContent = item.variant_title;
+      else variant.remove();
+    }
+
+    if (quantity) {
+      quantity.textContent = (this.dataset.quantityMessage ?? '').replace('[quantity]', String(item.quantity));
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Positions the popover below the cart icon when CSS anchor positioning isn't supported.
+   */
+  #updatePosition() {
+    const { popover } = this.refs;
+    const cartIcon = document.querySelector('.header-actions__cart-icon');
+
+    if (!cartIcon) return;
+
+    const positions = cartIcon.getBoundingClientRect();
+    popover.style.setProperty('--anchor-top', `${positions.top}`);
+    popover.style.setProperty('--anchor-height', `${positions.height}`);
+    popover.style.setProperty('--anchor-right', `${window.innerWidth - positions.right}`);
+  }
+
+  #scheduleHide = () => {
+    const { popover } = this.refs;
+
+    clearTimeout(this.#hideTimeout);
+
+    // Keep it open while it's being used
+    if (popover.matches(':hover, :focus-within')) return;
+
+    this.#hideTimeout = setTimeout(() => this.close(), AUTO_HIDE_DELAY);
+  };
+
+  #cancelHide = () => {
+    clearTimeout(this.#hideTimeout);
+  };
+
+  /**
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #handleKeyDown = (event) => {
+    if (event.key === 'Escape') this.close();
+  };
+}
+
+if (!customElements.get('cart-add-popover')) {
+  customElements.define('cart-add-popover', CartAddPopover);
+}
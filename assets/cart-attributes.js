@@ -0,0 +1,320 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
+
+/**
+ * @typedef {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} AttributeField
+ */
+
+/**
+ * A custom element that saves cart attributes, e.g. a delivery date, as the customer fills them in.
+ *
+ * Fields are named `attributes[<name>]` and linked to the cart form, so they're also submitted with it. The
+ * checkout buttons are disabled until every field is valid.
+ *
+ * @typedef {object} Refs
+ * @property {AttributeField[]} [fields] - The attribute fields.
+ * @property {HTMLElement[]} [dependents] - The fields only shown when the checkbox they depend on is checked.
+ * @property {HTMLElement} message - The message shown while the checkout is disabled.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartAttributes extends Component {
+  requiredRefs = ['message'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  /**
+   * The fields the customer interacted with, whose missing values are flagged.
+   * @type {WeakSet<AttributeField>}
+   */
+  #touched = new WeakSet();
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Saves that failed before the page was left are resent, the fields show what will be saved
+    this.#restore({ ...cartStore.get().attributes, ...cartStore.getPending()?.attributes });
+    this.#setDeliveryDateBounds();
+    this.#updateDependents();
+    this.#validateFields();
+
+    // The checkout buttons are re-rendered with the cart, so they're disabled again once it changes
+    this.#unsubscribe = cartStore.subscribe(() => this.#updateCheckout());
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#updateCheckout();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#save.cancel();
+    this.#activeFetch?.abort();
+    this.#setCheckoutDisabled(false);
+  }
+
+  /**
+   * Handles changes to a field.
+   * @param {Event} event - The change or input event.
+   */
+  update(event) {
+    const field = this.#getField(event.target);
+
+    if (field && event.type === 'change') this.#touched.add(field);
+
+    this.#updateDependents();
+    this.#validateFields();
+    this.#save(event);
+  }
+
+  /**
+   * Flags a field once the customer leaves it.
+   * @param {FocusEvent} event - The blur event.
+   */
+  validate(event) {
+    const field = this.#getField(event.target);
+
+    if (!field) return;
+
+    this.#touched.add(field);
+    this.#validateFields();
+  }
+
+  /**
+   * Saves the attributes to the cart. Invalid and hidden fields are saved empty, which removes them.
+   * @param {Event} event - The event that changed the attributes.
+   */
+  #save = debounce(async (event) => {
+    if (this.#activeFetch) {
+      this.#activeFetch.abort();
+    }
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      // The fields are part of the cart section, so they aren't morphed while the customer is typing
+      await cartStore.save({ attributes: this.#getAttributes() }, { silent: true, signal: abortController.signal });
+      cartStore.publish();
+    } catch (error) {
+      // The store dispatched a cart error, and keeps the attributes to resend them if the failure was transient
+    } finally {
+      this.#activeFetch = null;
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 200);
+
+  /**
+   * Gets the attributes of the fields.
+   * @returns {Record<string, string>} The attributes, by name.
+   */
+  #getAttributes() {
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.refs.fields ?? []) {
+      const name = getAttributeName(field);
+
+      if (!name) continue;
+
+      attributes[name] = field.disabled || !field.validity.valid ? '' : getValue(field);
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Restores the fields from the cart attributes and the pending saves, as the page may be rendered from the cache.
+   * @param {Record<string, string>} attributes - The cart attributes.
+   */
+  #restore(attributes) {
+    for (const field of this.refs.fields ?? []) {
+      const name = getAttributeName(field);
+
+      if (!name) continue;
+
+      const value = attributes[name] ?? '';
+
+      if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+        field.checked = value !== '';
+      } else {
+        field.value = value;
+      }
+    }
+  }
+
+  /**
+   * Sets the earliest delivery date from the lead time, in the customer's time zone.
+   */
+  #setDeliveryDateBounds() {
+    for (const field of this.refs.fields ?? []) {
+      if (!(field instanceof HTMLInputElement) || field.type !== 'date') continue;
+
+      const date = new Date();
+      date.setDate(date.getDate() + (Number(field.dataset.leadTime) || 0));
+      field.min = toISODate(date);
+    }
+  }
+
+  /**
+   * Shows the fields whose checkbox is checked, and disables the other ones so they aren't submitted.
+   */
+  #updateDependents() {
+    for (const dependent of this.refs.dependents ?? []) {
+      const checkbox = document.getElementById(dependent.dataset.dependsOn ?? '');
+      const isShown = checkbox instanceof HTMLInputElement && checkbox.checked;
+
+      dependent.classList.toggle('hidden', !isShown);
+      dependent.querySelectorAll('input, select, textarea').forEach((field) => {
+        /** @type {AttributeField} */ (field).disabled = !isShown;
+      });
+    }
+  }
+
+  /**
+   * Validates the fields and shows their errors, then updates the checkout buttons.
+   */
+  #validateFields() {
+    for (const field of this.refs.fields ?? []) {
+      this.#validateField(field);
+    }
+
+    this.#updateCheckout();
+  }
+
+  /**
+   * Validates a field against its constraints, the lead time and the blackout dates of a delivery date.
+   * Missing values are only flagged once the customer interacted with the field.
+   * @param {AttributeField} field - The field.
+   */
+  #validateField(field) {
+    field.setCustomValidity('');
+
+    if (field instanceof HTMLInputElement && field.type === 'date' && field.value) {
+      const { leadTimeMessage = '', blackoutMessage = '', blackoutDates = '' } = field.dataset;
+
+      if (field.min && field.value < field.min) {
+        field.setCustomValidity(leadTimeMessage.replace('[date]', formatDate(field.min)));
+      } else if (blackoutDates.split(/[\s,]+/).includes(field.value)) {
+        field.setCustomValidity(blackoutMessage);
+      }
+    }
+
+    const isInvalid = !field.disabled && !field.validity.valid;
+    const showError = isInvalid && (!field.validity.valueMissing || this.#touched.has(field));
+    const errorId = field.getAttribute('aria-describedby');
+    const error = errorId ? document.getElementById(errorId) : null;
+
+    if (showError) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+
+    if (error) {
+      error.textContent = showError ? field.validationMessage : '';
+      error.classList.toggle('hidden', !showError);
+    }
+  }
+
+  /**
+   * Disables the checkout buttons while a field is invalid.
+   */
+  #updateCheckout() {
+    const isBlocked = (this.refs.fields ?? []).some((field) => !field.disabled && !field.validity.valid);
+    const { message } = this.refs;
+
+    message.textContent = isBlocked ? (message.dataset.requiredMessage ?? '') : '';
+    message.classList.toggle('hidden', !isBlocked);
+
+    this.#setCheckoutDisabled(isBlocked);
+  }
+
+  /**
+   * Disables or enables the checkout buttons of the page, which stay disabled when the cart is empty.
+   * @param {boolean} disabled - Whether the buttons are disabled.
+   */
+  #setCheckoutDisabled(disabled) {
+    const isEmpty = cartStore.get().item_count === 0;
+
+    document.querySelectorAll('.cart__checkout-button').forEach((button) => {
+      if (button instanceof HTMLButtonElement) button.disabled = disabled || isEmpty;
+    });
+
+    document.querySelectorAll('.additional-checkout-buttons').forEach((buttons) => {
+      buttons.toggleAttribute('inert', disabled);
+    });
+  }
+
+  /**
+   * Gets the attribute field an event was dispatched from.
+   * @param {EventTarget | null} target - The event target.
+   * @returns {AttributeField | undefined} The field.
+   */
+  #getField(target) {
+    return this.refs.fields?.find((field) => field === target);
+  }
+}
+
+/**
+ * Gets the name of the cart attribute a field is saved to.
+ * @param {AttributeField} field - The field.
+ * @returns {string | undefined} The attribute name.
+ */
+function getAttributeName(field) {
+  return field.name.match(/^attributes\[(.+)\]$/)?.[1];
+}
+
+/**
+ * Gets the value of a field. Unchecked checkboxes are empty.
+ * @param {AttributeField} field - The field.
+ * @returns {string} The value.
+ */
+function getValue(field) {
+  if (field instanceof HTMLInputElement && field.type === 'checkbox') {
+    return field.checked ? field.value : '';
+  }
+
+  return field.value.trim();
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD`, the value of date inputs.
+ * @param {Date} date - The date.
+ * @returns {string} The formatted date.
+ */
+function toISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Formats a `YYYY-MM-DD` date for the customer.
+ * @param {string} value - The date.
+ * @returns {string} The formatted date.
+ */
+function formatDate(value) {
+  const [year = 0, month = 1, day = 1] = value.split('-').map(Number);
+
+  return new Date(year, month - 1, day).toLocaleDateString(document.documentElement.lang || undefined, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+if (!customElements.get('cart-attributes')) {
+  customElements.define('cart-attributes', CartAttributes);
+}
@@ -1,16 +1,21 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
+
+/** @typedef {import('./cart-save-status').CartSaveStatus} CartSaveStatus */
 
 /**
  * A custom element that applies a discount to the cart.
  *
+ * Discount codes that failed to save are kept by the cart store and resent, see `CartStore.save`.
+ *
  * @typedef {Object} CartDiscountComponentRefs
  * @property {HTMLElement} cartDiscountError - The error element.
  * @property {HTMLElement} cartDiscountErrorDiscountCode - The discount code error element.
  * @property {HTMLElement} cartDiscountErrorShipping - The shipping error element.
+ * @property {CartSaveStatus} [saveStatus] - The save status.
  */
 
 /**
@@ -60,31 +65,27 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      const renderedDiscounts = this.#renderedDiscounts();
+      const save = cartStore.save(
+        { discount: [...existingDiscounts, discountCodeValue].join(',') },
+        { silent: true, sections: [this.dataset.sectionId], signal: abortController.signal }
+      );
+      this.refs.saveStatus?.track(save);
 
-      const data = await response.json();
+      const { cart, sections } = await save;
 
       if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+        cart.discount_codes.find((discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
         })
       ) {
+        cartStore.publish();
         discountCode.value = '';
         this.#handleDiscountError('discount_code');
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = sections[this.dataset.sectionId] ?? '';
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -96,21 +97,24 @@ class CartDiscount extends Component {
         // we check the liquid logic compared to the cart payload to assess whether we leveraged
         // a valid shipping discount code.
         if (
-          codes.length === existingDiscounts.length &&
-          codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+          codes.length === renderedDiscounts.length &&
+          codes.every((/** @type {string} */ code) => renderedDiscounts.includes(code)) &&
+          cart.discount_codes.find((discount) => {
             return discount.code === discountCodeValue && discount.applicable === true;
           })
         ) {
+          cartStore.publish();
           this.#handleDiscountError('shipping');
           discountCode.value = '';
           return;
         }
       }
 
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
+      cartStore.publish();
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
       morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
+      // The store dispatched a cart error, and keeps the discount codes to resend them if the failure was transient
     } finally {
       this.#activeFetch = null;
       cartPerformance.measureFromEvent('discount-update:user-action', event);
@@ -149,20 +153,19 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
+      const save = cartStore.save(
+        { discount: existingDiscounts.join(',') },
+        { silent: true, sections: [this.dataset.sectionId], signal: abortController.signal }
+      );
+      this.refs.saveStatus?.track(save);
 
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      const { cart, sections } = await save;
 
-      const data = await response.json();
-
-      document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+      cartStore.publish();
+      document.dispatchEvent(new DiscountUpdateEvent(cart, this.id));
+      morphSection(this.dataset.sectionId, sections[this.dataset.sectionId] ?? '');
     } catch (error) {
+      // The store dispatched a cart error, and keeps the discount codes to resend them if the failure was transient
     } finally {
       this.#activeFetch = null;
     }
@@ -181,10 +184,21 @@ class CartDiscount extends Component {
   }
 
   /**
-   * Returns an array of existing discount codes.
+   * Returns an array of the discount codes applied to the cart.
    * @returns {string[]}
    */
   #existingDiscounts() {
+    return cartStore
+      .get()
+      .discount_codes.filter((discount) => discount.applicable)
+      .map((discount) => discount.code);
+  }
+
+  /**
+   * Returns an array of the discount codes rendered as pills.
+   * @returns {string[]}
+   */
+  #renderedDiscounts() {
     /** @type {string[]} */
     const discountCodes = [];
     const discountPills = this.querySelectorAll('.cart-discount__pill');
@@ -1,5 +1,8 @@
 import { DialogComponent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
+
+/** @typedef {import('./cart').CartState} CartState */
 
 /**
  * A custom element that manages a cart drawer.
@@ -7,17 +10,36 @@ import { CartAddEvent } from '@theme/events';
  * @extends {DialogComponent}
  */
 class CartDrawerComponent extends DialogComponent {
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    this.#unsubscribe = cartStore.subscribe(this.#handleCartChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    this.#unsubscribe?.();
   }
 
-  #handleCartAdd = () => {
+  /**
+   * Keeps the empty state in sync with the cart until the section is re-rendered.
+   * @param {CartState} cart - The updated cart.
+   */
+  #handleCartChange = (cart) => {
+    this.refs.dialog.classList.toggle('cart-drawer--empty', cart.item_count === 0);
+  };
+
+  /**
+   * Opens the drawer when an item is added in this tab, if it's the add to cart confirmation.
+   * @param {Event} event - The cart update event.
+   */
+  #handleCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
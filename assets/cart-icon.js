@@ -1,6 +1,8 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
+
+/** @typedef {import('./cart').CartState} CartState */
 
 /**
  * A custom element that displays a cart icon.
@@ -12,7 +14,7 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
  *
  * @extends {Component<Refs>}
  */
-class CartIcon extends Component {
+export class CartIcon extends Component {
   requiredRefs = ['cartBubble', 'cartBubbleText', 'cartBubbleCount'];
 
   /** @type {number} */
@@ -24,54 +26,44 @@ class CartIcon extends Component {
     this.refs.cartBubbleCount.textContent = value < 100 ? String(value) : '';
   }
 
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
   connectedCallback() {
     super.connectedCallback();
 
-    document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe = cartStore.subscribe(this.onCartUpdate);
     this.ensureCartBubbleIsCorrect();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
-    document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    this.#unsubscribe?.();
   }
 
   /**
-   * Handles the cart update event.
-   * @param {CartUpdateEvent} event - The cart update event.
+   * Handles cart changes.
+   * @param {CartState} cart - The updated cart.
    */
-  onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
-
-    this.renderCartBubble(itemCount, comingFromProductForm);
+  onCartUpdate = (cart) => {
+    this.renderCartBubble(cart.item_count, cart.item_count !== this.currentCartCount);
   };
 
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
-    sessionStorage.setItem(
-      'cart-count',
-      JSON.stringify({
-        value: String(this.currentCartCount),
-        timestamp: Date.now(),
-      })
-    );
-
     if (!animate) return;
     await onAnimationEnd(this.refs.cartBubbleText);
 
@@ -79,27 +71,14 @@ class CartIcon extends Component {
   };
 
   /**
-   * Checks if the cart count is correct.
+   * Checks if the cart count matches the cart, e.g. when the header was rendered from a cached page.
    */
   ensureCartBubbleIsCorrect = () => {
-    const sessionStorageCount = sessionStorage.getItem('cart-count');
-    const visibleCount = this.refs.cartBubbleCount.textContent;
-
-    if (sessionStorageCount === visibleCount || sessionStorageCount === null) return;
-
-    try {
-      const { value, timestamp } = JSON.parse(sessionStorageCount);
+    const { item_count: itemCount } = cartStore.get();
 
-      if (Date.now() - timestamp < 10000) {
-        const count = parseInt(value, 10);
+    if (itemCount === this.currentCartCount) return;
 
-        if (count >= 0) {
-          this.renderCartBubble(count, false, false);
-        }
-      }
-    } catch (_) {
-      // no-op
-    }
+    this.renderCartBubble(itemCount, false);
   };
 }
 
@@ -1,14 +1,42 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
+
+/** @typedef {import('./cart-save-status').CartSaveStatus} CartSaveStatus */
 
 /**
  * A custom element that displays a cart note.
+ *
+ * Notes that failed to save are kept by the cart store and resent, so they're restored until they're saved.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLTextAreaElement} note - The note field.
+ * @property {CartSaveStatus} [saveStatus] - The save status.
+ *
+ * @extends {Component<Refs>}
  */
 class CartNote extends Component {
+  requiredRefs = ['note'];
+
   /** @type {AbortController | null} */
   #activeFetch = null;
 
+  connectedCallback() {
+    super.connectedCallback();
+
+    const pending = cartStore.getPending();
+
+    if (pending?.note !== undefined) this.refs.note.value = pending.note;
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.updateCartNote.cancel();
+    this.#activeFetch?.abort();
+  }
+
   /**
    * Handles updates to the cart note.
    * @param {InputEvent} event - The input event in our text-area.
@@ -24,18 +52,17 @@ class CartNote extends Component {
     const abortController = new AbortController();
     this.#activeFetch = abortController;
 
+    // The note is part of the cart section, so it isn't morphed while the customer is typing
+    const save = cartStore.save({ note }, { silent: true, signal: abortController.signal });
+    this.refs.saveStatus?.track(save);
+
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      await save;
+      cartStore.publish();
     } catch (error) {
+      // The store dispatched a cart error, and keeps the note to resend it if the failure was transient
     } finally {
-      this.#activeFetch = null;
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
       cartPerformance.measureFromEvent('note-update:user-action', event);
     }
   }, 200);
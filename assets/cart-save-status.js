@@ -0,0 +1,80 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+
+/**
+ * @typedef {'saving' | 'saved' | 'failed'} SaveStatus
+ */
+
+/**
+ * A custom element that shows the save status of a cart field, e.g. the note, with a button to retry failed saves.
+ * The field is one of the `CartUpdate` keys, set as `data-field`.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The status message.
+ * @property {HTMLButtonElement} retryButton - The button that resends the failed saves.
+ *
+ * @extends {Component<Refs>}
+ */
+export class CartSaveStatus extends Component {
+  requiredRefs = ['message', 'retryButton'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // A save of the field failed before the page was left, and is resent by the store
+    const { field } = this.dataset;
+    const pending = cartStore.getPending();
+
+    if (field && pending && field in pending) this.track(cartStore.flush());
+  }
+
+  /**
+   * Shows a status, or clears it.
+   * @param {SaveStatus | null} status - The status.
+   */
+  show(status) {
+    const { message, retryButton } = this.refs;
+    const { savingMessage = '', savedMessage = '', failedMessage = '' } = this.dataset;
+    const messages = { saving: savingMessage, saved: savedMessage, failed: failedMessage };
+
+    message.textContent = status ? messages[status] : '';
+    retryButton.classList.toggle('hidden', status !== 'failed');
+
+    if (status) {
+      this.dataset.status = status;
+    } else {
+      delete this.dataset.status;
+    }
+  }
+
+  /**
+   * Shows the status of a save.
+   * @param {Promise<unknown>} save - The save request.
+   * @returns {Promise<boolean>} Whether the save succeeded.
+   */
+  async track(save) {
+    this.show('saving');
+
+    try {
+      await save;
+      this.show('saved');
+      return true;
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return false;
+
+      this.show('failed');
+      return false;
+    }
+  }
+
+  /**
+   * Resends the failed saves.
+   */
+  retry() {
+    this.track(cartStore.flush());
+  }
+}
+
+if (!customElements.get('cart-save-status')) {
+  customElements.define('cart-save-status', CartSaveStatus);
+}
@@ -0,0 +1,358 @@
+import { DialogComponent } from '@theme/dialog';
+import { QRCode } from '@theme/qr-code-generator';
+import { cartStore, CartError } from '@theme/cart';
+
+/** @typedef {import('./cart').CartState} CartState */
+
+/**
+ * A line of a shared cart.
+ *
+ * @typedef {object} SharedLine
+ * @property {number} id - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} [properties] - The line item properties.
+ * @property {number} [selling_plan] - The selling plan id.
+ */
+
+/**
+ * A nested line of a shared cart, e.g. a price add-on.
+ *
+ * @typedef {SharedLine & { parent: number }} SharedNestedLine
+ */
+
+/**
+ * A cart serialized in a link.
+ *
+ * @typedef {object} SharedCart
+ * @property {SharedLine[]} lines - The lines.
+ * @property {SharedNestedLine[]} nestedLines - The nested lines, with the index of their parent in `lines`.
+ * @property {string[]} discounts - The discount codes.
+ */
+
+/** The URL parameter holding the shared cart. */
+const SHARE_PARAMETER = 'share';
+
+/** The size of the QR code, in pixels. */
+const QR_CODE_SIZE = 160;
+
+/**
+ * A custom element that shares the current cart as a link and a QR code, to open it on another device.
+ *
+ * @typedef {object} CartShareRefs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLInputElement} link - The field showing the link.
+ * @property {HTMLElement} qrCode - The container of the QR code.
+ * @property {HTMLElement} copyMessage - The message shown once the link is copied.
+ *
+ * @extends {DialogComponent}
+ */
+class CartShare extends DialogComponent {
+  requiredRefs = ['dialog', 'link', 'qrCode', 'copyMessage'];
+
+  /**
+   * Builds the link of the current cart and shows it.
+   */
+  share() {
+    const { link, qrCode, copyMessage } = /** @type {CartShareRefs} */ (this.refs);
+    const url = buildShareUrl(cartStore.get());
+
+    link.value = url;
+    copyMessage.classList.add('hidden');
+
+    qrCode.replaceChildren();
+
+    try {
+      // A low correction level keeps the code readable for the long links of carts with many lines
+      new QRCode(qrCode, {
+        text: url,
+        width: QR_CODE_SIZE,
+        height: QR_CODE_SIZE,
+        alt: qrCode.dataset.alt ?? '',
+        correctLevel: QRCode.CorrectLevel.L,
+      });
+      qrCode.classList.remove('hidden');
+    } catch (error) {
+      // The link is too long to be encoded, it can still be copied
+      qrCode.replaceChildren();
+      qrCode.classList.add('hidden');
+    }
+
+    this.showDialog();
+  }
+
+  /**
+   * Copies the link to the clipboard.
+   */
+  async copy() {
+    const { link, copyMessage } = /** @type {CartShareRefs} */ (this.refs);
+
+    try {
+      await navigator.clipboard.writeText(link.value);
+      copyMessage.classList.remove('hidden');
+    } catch (error) {
+      // The clipboard may be unavailable, the link is selected to copy it manually
+      link.select();
+    }
+  }
+}
+
+/**
+ * A custom element that rebuilds a shared cart, once the customer confirms they want to merge it into their cart
+ * or replace it.
+ *
+ * @typedef {object} CartShareImportRefs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLElement} summary - The summary of the shared cart.
+ * @property {HTMLElement} replaceActions - The actions shown when the cart isn't empty.
+ * @property {HTMLElement} addActions - The actions shown when the cart is empty.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {DialogComponent}
+ */
+class CartShareImport extends DialogComponent {
+  requiredRefs = ['dialog', 'summary', 'replaceActions', 'addActions', 'error'];
+
+  /** @type {SharedCart | null} */
+  #sharedCart = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(SHARE_PARAMETER);
+
+    if (!value) return;
+
+    // The link is only opened once, reloading the page doesn't ask again
+    url.searchParams.delete(SHARE_PARAMETER);
+    history.replaceState(history.state, '', url);
+
+    this.#sharedCart = decodeSharedCart(value);
+
+    if (this.#sharedCart?.lines.length) this.#confirm(this.#sharedCart);
+  }
+
+  /**
+   * Adds the shared cart to the current one.
+   */
+  merge() {
+    this.#import(false);
+  }
+
+  /**
+   * Replaces the current cart with the shared one.
+   */
+  replace() {
+    this.#import(true);
+  }
+
+  /**
+   * Shows the content of the shared cart, and the actions that apply to the current cart.
+   * @param {SharedCart} sharedCart - The shared cart.
+   */
+  #confirm(sharedCart) {
+    const { summary, replaceActions, addActions } = /** @type {CartShareImportRefs} */ (this.refs);
+    const { summaryMessage = '', discountsMessage = '' } = summary.dataset;
+    const quantity = [...sharedCart.lines, ...sharedCart.nestedLines].reduce((total, line) => total + line.quantity, 0);
+    const isCartEmpty = cartStore.get().item_count === 0;
+
+    summary.textContent = summaryMessage.replace('[count]', String(quantity));
+
+    if (sharedCart.discounts.length) {
+      summary.textContent += ` ${discountsMessage.replace('[codes]', sharedCart.discounts.join(', '))}`;
+    }
+
+    replaceActions.classList.toggle('hidden', isCartEmpty);
+    addActions.classList.toggle('hidden', !isCartEmpty);
+
+    this.showDialog();
+  }
+
+  /**
+   * Adds the lines and discount codes of the shared cart.
+   * @param {boolean} shouldReplace - Whether the current lines and discount codes are removed.
+   */
+  async #import(shouldReplace) {
+    const { dialog, error } = /** @type {CartShareImportRefs} */ (this.refs);
+    const sharedCart = this.#sharedCart;
+
+    if (!sharedCart) return;
+
+    const cart = cartStore.get();
+    const buttons = dialog.querySelectorAll('button');
+
+    buttons.forEach((button) => (button.disabled = true));
+    error.classList.add('hidden');
+
+    try {
+      // The current lines are only removed once the shared ones are added, so a failure keeps the cart as it was
+      const { items: addedItems = [] } = await cartStore.add(sharedCart.lines, { silent: true });
+
+      // Nested lines are added to the lines their parent was added to, which are only known once they're added
+      const nestedItems = sharedCart.nestedLines.flatMap(({ parent, ...line }) => {
+        const parentKey = addedItems[parent]?.key;
+
+        return parentKey ? [{ ...line, parent_id: parentKey }] : [];
+      });
+
+      if (nestedItems.length) {
+        const { items = [] } = await cartStore.add(nestedItems, { silent: true });
+        addedItems.push(...items);
+      }
+
+      if (shouldReplace && cart.items.length) {
+        /** @type {Record<string, number>} */
+        const updates = {};
+
+        for (const item of cart.items) {
+          // A shared line identical to a current one is merged into it, only the shared quantity is kept
+          const addedItem = addedItems.find((addedItem) => addedItem.key === item.key);
+
+          updates[item.key] = addedItem ? Math.max(addedItem.quantity - item.quantity, 0) : 0;
+        }
+
+        await cartStore.update({ updates }, { silent: true });
+      }
+
+      if (shouldReplace || sharedCart.discounts.length) {
+        const existing = shouldReplace
+          ? []
+          : cart.discount_codes.filter((discount) => discount.applicable).map((discount) => discount.code);
+        const codes = [...new Set([...existing, ...sharedCart.discounts])];
+
+        await cartStore.save({ discount: codes.join(',') }, { silent: true });
+      }
+
+      this.#sharedCart = null;
+      this.closeDialog();
+    } catch (importError) {
+      error.textContent =
+        importError instanceof CartError
+          ? importError.description || importError.message
+          : (Theme.translations.cart_update_error ?? '');
+      error.classList.remove('hidden');
+    } finally {
+      buttons.forEach((button) => (button.disabled = false));
+
+      // Part of the cart may have been rebuilt before an error, so the cart sections are rendered in any case
+      cartStore.refresh({ sourceId: this.id }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Builds the link that rebuilds a cart.
+ * @param {CartState} cart - The cart.
+ * @returns {string} The link.
+ */
+function buildShareUrl(cart) {
+  const keys = cart.items.map((item) => item.key);
+
+  // Lines are stored as arrays, without their empty trailing values, to keep the link short. Nested lines, e.g.
+  // add-ons, store the index of their parent line, so they're added back nested in it
+  const lines = cart.items.map((item) => {
+    /** @type {unknown[]} */
+    const line = [item.variant_id, item.quantity];
+    const hasProperties = Object.keys(item.properties ?? {}).length > 0;
+    const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+    const parentKey = item.parent_relationship?.parent_key;
+    const parentIndex = parentKey ? keys.indexOf(parentKey) : -1;
+
+    if (hasProperties || sellingPlan || parentIndex >= 0) line.push(hasProperties ? item.properties : 0);
+    if (sellingPlan || parentIndex >= 0) line.push(sellingPlan ?? 0);
+    if (parentIndex >= 0) line.push(parentIndex);
+
+    return line;
+  });
+  const discounts = cart.discount_codes.filter((discount) => discount.applicable).map((discount) => discount.code);
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+
+  url.searchParams.set(
+    SHARE_PARAMETER,
+    encodeBase64Url(JSON.stringify(discounts.length ? [lines, discounts] : [lines]))
+  );
+
+  return url.toString();
+}
+
+/**
+ * Reads a shared cart from a link parameter.
+ * @param {string} value - The parameter value.
+ * @returns {SharedCart | null} The shared cart, or null if the parameter is invalid.
+ */
+function decodeSharedCart(value) {
+  try {
+    const [lines, discounts = []] = JSON.parse(decodeBase64Url(value));
+
+    if (!Array.isArray(lines) || !Array.isArray(discounts)) return null;
+
+    /** @type {SharedLine[]} */
+    const sharedLines = [];
+    /** @type {SharedNestedLine[]} */
+    const nestedLines = [];
+    /** @type {Map<number, number>} */
+    const parentIndexes = new Map();
+
+    lines.forEach(([id, quantity, properties, sellingPlan, parent], index) => {
+      if (!(Number(id) > 0 && Number(quantity) > 0)) return;
+
+      /** @type {SharedLine} */
+      const line = {
+        id: Number(id),
+        quantity: Number(quantity),
+        ...(properties ? { properties } : {}),
+        ...(sellingPlan ? { selling_plan: Number(sellingPlan) } : {}),
+      };
+
+      if (typeof parent === 'number') {
+        nestedLines.push({ ...line, parent });
+      } else {
+        parentIndexes.set(index, sharedLines.length);
+        sharedLines.push(line);
+      }
+    });
+
+    return {
+      lines: sharedLines,
+      // Nested lines are only added with their parent, e.g. add-ons aren't bought without their product
+      nestedLines: nestedLines.flatMap((line) => {
+        const parent = parentIndexes.get(line.parent);
+
+        return parent === undefined ? [] : [{ ...line, parent }];
+      }),
+      discounts: discounts.map(String).filter(Boolean),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encodes a string in URL-safe base64.
+ * @param {string} value - The string.
+ * @returns {string} The encoded string.
+ */
+function encodeBase64Url(value) {
+  const binary = Array.from(new TextEncoder().encode(value), (byte) => String.fromCharCode(byte)).join('');
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a string encoded in URL-safe base64.
+ * @param {string} value - The encoded string.
+ * @returns {string} The string.
+ */
+function decodeBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+
+  return new TextDecoder().decode(Uint8Array.from(binary, (character) => character.charCodeAt(0)));
+}
+
+if (!customElements.get('cart-share')) {
+  customElements.define('cart-share', CartShare);
+}
+
+if (!customElements.get('cart-share-import')) {
+  customElements.define('cart-share-import', CartShareImport);
+}
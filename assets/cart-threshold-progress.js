@@ -0,0 +1,153 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+import { formatCents, prefersReducedMotion } from '@theme/utilities';
+
+/**
+ * @typedef {object} Tier
+ * @property {number} threshold - The amount to reach, in cents of the cart currency.
+ * @property {string} message - The message shown until the tier is unlocked, `[amount]` is the remaining amount.
+ * @property {string} unlockedMessage - The message shown and announced once the tier is unlocked.
+ */
+
+/**
+ * A custom element that shows the progress of the cart total towards one or more thresholds, e.g. free shipping
+ * or a free gift.
+ *
+ * The thresholds are set in the store currency and converted to the currency of the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement[]} tiers - The tier elements, holding the settings of each tier.
+ * @property {HTMLElement} message - The message element.
+ * @property {HTMLElement} track - The progress bar.
+ * @property {HTMLElement} liveRegion - The live region that announces unlocked tiers.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartThresholdProgress extends Component {
+  requiredRefs = ['message', 'track', 'liveRegion'];
+
+  /**
+   * The thresholds unlocked at the last render, used to announce new unlocks only.
+   * @type {Set<number> | null}
+   */
+  #unlockedThresholds = null;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The store notifies its subscribers once it has the updated cart, including for updates made outside of it
+    this.#unsubscribe = cartStore.subscribe(this.#handleCartUpdate);
+
+    this.#render(false);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render(false);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  #handleCartUpdate = () => {
+    this.#render(true);
+  };
+
+  /**
+   * Gets the tiers, sorted by threshold.
+   * @returns {Tier[]} The tiers.
+   */
+  #getTiers() {
+    const rate = Number(window.Shopify?.currency?.rate) || 1;
+
+    return (this.refs.tiers ?? [])
+      .map((element) => ({
+        threshold: Math.ceil(Number(element.dataset.threshold) * rate),
+        message: element.dataset.message ?? '',
+        unlockedMessage: element.dataset.unlockedMessage ?? '',
+      }))
+      .filter((tier) => tier.threshold > 0)
+      .sort((a, b) => a.threshold - b.threshold);
+  }
+
+  /**
+   * Renders the progress of the current cart total.
+   * @param {boolean} animate - Whether to animate the bar.
+   */
+  #render(animate) {
+    const { message, track, liveRegion } = this.refs;
+    const tiers = this.#getTiers();
+    const lastTier = tiers[tiers.length - 1];
+
+    this.classList.toggle('hidden', !lastTier);
+    if (!lastTier) return;
+
+    const total = cartStore.get().total_price;
+    const nextTier = tiers.find((tier) => total < tier.threshold);
+    const progress = Math.min(100, (total / lastTier.threshold) * 100);
+    const text = nextTier
+      ? nextTier.message.replace('[amount]', formatCents(nextTier.threshold - total))
+      : lastTier.unlockedMessage;
+
+    message.textContent = text;
+
+    track.classList.toggle('cart-threshold-progress__track--animated', animate && !prefersReducedMotion());
+    track.style.setProperty('--progress', `${progress}%`);
+    track.setAttribute('aria-valuenow', String(Math.round(progress)));
+    track.setAttribute('aria-valuetext', text);
+
+    this.#renderMarkers(tiers, total);
+
+    const unlockedTiers = tiers.filter((tier) => total >= tier.threshold);
+    const newlyUnlocked = unlockedTiers.filter((tier) => !this.#unlockedThresholds?.has(tier.threshold));
+
+    // Only announce tiers unlocked by a cart change, not the ones already unlocked when the page loaded
+    if (this.#unlockedThresholds && newlyUnlocked.length > 0) {
+      liveRegion.textContent = newlyUnlocked.map((tier) => tier.unlockedMessage).join(' ');
+    }
+
+    this.#unlockedThresholds = new Set(unlockedTiers.map((tier) => tier.threshold));
+  }
+
+  /**
+   * Renders a marker on the bar for each tier.
+   * @param {Tier[]} tiers - The tiers.
+   * @param {number} total - The cart total, in cents.
+   */
+  #renderMarkers(tiers, total) {
+    const { track } = this.refs;
+    const lastTier = tiers[tiers.length - 1];
+
+    if (!lastTier) return;
+
+    let markers = Array.from(track.querySelectorAll('.cart-threshold-progress__marker'));
+
+    if (markers.length !== tiers.length) {
+      markers.forEach((marker) => marker.remove());
+      markers = tiers.map(() => {
+        const marker = document.createElement('span');
+        marker.className = 'cart-threshold-progress__marker';
+        track.append(marker);
+        return marker;
+      });
+    }
+
+    tiers.forEach((tier, index) => {
+      const marker = /** @type {HTMLElement} */ (markers[index]);
+
+      marker.style.setProperty('--position', `${(tier.threshold / lastTier.threshold) * 100}%`);
+      marker.classList.toggle('cart-threshold-progress__marker--unlocked', total >= tier.threshold);
+    });
+  }
+}
+
+if (!customElements.get('cart-threshold-progress')) {
+  customElements.define('cart-threshold-progress', CartThresholdProgress);
+}
@@ -0,0 +1,204 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
+import { fetchCachedRecommendations } from '@theme/product-recommendations';
+
+/** @typedef {import('./cart').CartState} CartState */
+/** @typedef {import('./cart').CartLine} CartLine */
+
+/**
+ * The maximum number of products the product recommendations URL returns.
+ */
+const MAX_RECOMMENDATIONS = 10;
+
+/**
+ * A custom element that recommends products for the most recent or the highest-value cart line, each with a button
+ * to add it to the cart.
+ *
+ * The recommendations are rendered by the `cart-upsell-recommendations` section and cached, the products already in
+ * the cart are left out, and they're refreshed every time the cart is updated.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The container of the recommendations.
+ * @property {HTMLElement} liveRegion - The live region that announces added products.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartUpsell extends Component {
+  requiredRefs = ['content', 'liveRegion'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  /**
+   * The ids of the products shown, to keep the list as it is when they don't change.
+   * @type {string}
+   */
+  #renderedProductIds = '';
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // The store notifies its subscribers once it has the updated cart, including for updates made outside of it
+    this.#unsubscribe = cartStore.subscribe((cart) => this.#render(cart));
+
+    this.#render(cartStore.get());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Adds the selected variant of a recommended product to the cart.
+   * @param {Event} event - The click event.
+   */
+  async add(event) {
+    const item = event.target instanceof Element ? event.target.closest('.cart-upsell__item') : null;
+    const button = item?.querySelector('.cart-upsell__add');
+    const error = item?.querySelector('.cart-upsell__error');
+
+    if (!(item instanceof HTMLElement) || !(button instanceof HTMLButtonElement)) return;
+
+    const select = item.querySelector('select');
+    const id = select?.value ?? button.value;
+
+    button.disabled = true;
+    error?.classList.add('hidden');
+
+    try {
+      await cartStore.add([{ id, quantity: 1 }], {
+        target: this,
+        sourceId: id,
+        source: 'cart-upsell',
+        sections: getCartItemsSectionIds(),
+        data: { productId: item.dataset.productId },
+      });
+
+      this.refs.liveRegion.textContent = item.dataset.addedMessage ?? '';
+    } catch (addError) {
+      // The store already dispatched the error event
+      if (error) {
+        error.textContent =
+          addError instanceof CartError
+            ? addError.description || addError.message
+            : (Theme.translations.cart_update_error ?? '');
+        error.classList.remove('hidden');
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the price of the selected variant.
+   * @param {Event} event - The change event.
+   */
+  selectVariant(event) {
+    const select = event.target;
+
+    if (!(select instanceof HTMLSelectElement)) return;
+
+    const price = select.closest('.cart-upsell__item')?.querySelector('.cart-upsell__price');
+    const option = select.selectedOptions[0];
+
+    if (price && option?.dataset.price) price.textContent = option.dataset.price;
+  }
+
+  /**
+   * Renders the recommendations for a cart, leaving out the products already in it.
+   * @param {CartState} cart - The cart.
+   */
+  async #render(cart) {
+    const line = this.#getSourceLine(cart);
+
+    this.#activeFetch?.abort();
+
+    if (!line) return this.#show(null);
+
+    const { url = '', sectionId, intent, limit } = this.dataset;
+    const maxProducts = Number(limit) || 4;
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      // The products already in the cart are left out, so as many products as possible are requested. The limit
+      // doesn't depend on the cart, so the response stays cached while the cart changes.
+      const result = await fetchCachedRecommendations(
+        `${url}?limit=${MAX_RECOMMENDATIONS}`,
+        { productId: String(line.product_id), sectionId, intent },
+        abortController.signal
+      );
+
+      if (!result.success) throw new Error(`Server returned ${result.status}`);
+
+      const html = new DOMParser().parseFromString(result.data, 'text/html');
+      const list = html.querySelector('.cart-upsell__list');
+      const productIds = new Set(cart.items.map((item) => String(item.product_id)));
+
+      const items = Array.from(list?.querySelectorAll('.cart-upsell__item') ?? []);
+      const shownItems = items
+        .filter((item) => !productIds.has(item.getAttribute('data-product-id') ?? ''))
+        .slice(0, maxProducts);
+
+      items.filter((item) => !shownItems.includes(item)).forEach((item) => item.remove());
+
+      this.#show(shownItems.length ? list : null);
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return;
+
+      console.error('Cart upsell error:', error);
+      this.#show(null);
+    } finally {
+      if (this.#activeFetch === abortController) this.#activeFetch = null;
+    }
+  }
+
+  /**
+   * Shows a list of recommendations, or hides the element.
+   * @param {Element | null} list - The list.
+   */
+  #show(list) {
+    const { content } = this.refs;
+    const productIds = Array.from(list?.children ?? [], (item) => item.getAttribute('data-product-id')).join(',');
+
+    this.classList.toggle('hidden', !list);
+
+    // The same products are kept as they are, with their selected variant and the focus
+    if (productIds === this.#renderedProductIds) return;
+
+    const hadFocus = content.contains(document.activeElement);
+
+    this.#renderedProductIds = productIds;
+    content.replaceChildren(...(list ? [list] : []));
+
+    if (hadFocus) content.querySelector('button')?.focus();
+  }
+
+  /**
+   * Gets the line the recommendations are based on.
+   * @param {CartState} cart - The cart.
+   * @returns {CartLine | undefined} The line, or undefined if the cart is empty.
+   */
+  #getSourceLine(cart) {
+    if (this.dataset.sourceLine === 'highest_value') {
+      return cart.items.reduce(
+        (/** @type {CartLine | undefined} */ highest, item) =>
+          !highest || item.final_line_price > highest.final_line_price ? item : highest,
+        undefined
+      );
+    }
+
+    // The most recently added line comes first
+    return cart.items[0];
+  }
+}
+
+if (!customElements.get('cart-upsell')) {
+  customElements.define('cart-upsell', CartUpsell);
+}
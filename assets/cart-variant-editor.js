@@ -0,0 +1,223 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { CartError } from '@theme/cart';
+
+/** @typedef {import('./component-cart-items').CartItemsComponent} CartItemsComponent */
+
+/**
+ * A custom element that lets shoppers change the variant of a cart line in place.
+ *
+ * The variant picker is loaded from the product card section on first open, so it shows the availability of each
+ * option value like everywhere else in the theme.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} toggle - The button that opens and closes the editor.
+ * @property {HTMLElement} panel - The editor panel.
+ * @property {HTMLElement} picker - The container of the variant picker.
+ * @property {HTMLButtonElement} updateButton - The button that swaps the line to the selected variant.
+ * @property {HTMLElement} error - The error message.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartVariantEditor extends Component {
+  requiredRefs = ['toggle', 'panel', 'picker', 'updateButton', 'error'];
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /**
+   * The id of the variant selected in the picker.
+   * @type {string | null}
+   */
+  #selectedVariantId = null;
+
+  /**
+   * Whether the selected variant is sold as a pre-order, undefined when pre-orders are off.
+   * @type {boolean | undefined}
+   */
+  #isPreorder;
+
+  /**
+   * The line the picker was loaded for, as cart lines are morphed by position.
+   * @type {string | null}
+   */
+  #loadedKey = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The row may now render another line, so the editor of the previous one is reset
+    if (this.#loadedKey && this.#loadedKey !== this.dataset.key) {
+      this.#abortController?.abort();
+      this.close();
+      this.#hideError();
+      this.refs.picker.replaceChildren();
+      this.#loadedKey = null;
+      this.#selectedVariantId = null;
+      this.#isPreorder = undefined;
+    }
+
+    this.refs.toggle.setAttribute('aria-expanded', String(!this.refs.panel.classList.contains('hidden')));
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate);
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Opens the editor, or closes it if it's open.
+   */
+  toggle() {
+    if (this.refs.panel.classList.contains('hidden')) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Opens the editor and loads the variant picker if needed.
+   */
+  async open() {
+    const { toggle, panel, picker } = this.refs;
+
+    // Only one editor is open at a time, as pickers of the same product share their input names
+    this.closest('cart-items-component')
+      ?.querySelectorAll('cart-variant-editor')
+      .forEach((editor) => editor !== this && /** @type {CartVariantEditor} */ (editor).close());
+
+    panel.classList.remove('hidden');
+    toggle.setAttribute('aria-expanded', 'true');
+    this.#hideError();
+
+    if (!picker.querySelector('variant-picker')) await this.#loadPicker();
+
+    const input = picker.querySelector('input:checked:not([disabled]), input:not([disabled]), select');
+    if (input instanceof HTMLElement) input.focus();
+  }
+
+  /**
+   * Closes the editor.
+   */
+  close() {
+    const { toggle, panel } = this.refs;
+
+    if (panel.classList.contains('hidden')) return;
+
+    const hadFocus = panel.contains(document.activeElement);
+
+    panel.classList.add('hidden');
+    toggle.setAttribute('aria-expanded', 'false');
+
+    if (hadFocus) toggle.focus();
+  }
+
+  /**
+   * Swaps the line to the selected variant.
+   */
+  async submit() {
+    const { key } = this.dataset;
+    const { updateButton } = this.refs;
+    const cartItems = /** @type {CartItemsComponent | null} */ (this.closest('cart-items-component'));
+
+    if (!key || !cartItems || !this.#selectedVariantId) return;
+
+    updateButton.disabled = true;
+    this.#hideError();
+
+    try {
+      await cartItems.updateVariant(key, this.#selectedVariantId, this.#isPreorder);
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#showError(error.description || error.message);
+      } else {
+        console.error(error);
+        this.#showError(Theme.translations.cart_update_error ?? '');
+      }
+
+      updateButton.disabled = false;
+    }
+  }
+
+  /**
+   * Loads the variant picker of the line's product, with the line's variant selected.
+   */
+  async #loadPicker() {
+    const { url, key } = this.dataset;
+
+    if (!url || !key) return;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    const requestUrl = new URL(url, window.location.origin);
+    requestUrl.searchParams.set('section_id', 'section-rendering-product-card');
+
+    try {
+      const response = await fetch(requestUrl, { signal: this.#abortController.signal });
+      const html = new DOMParser().parseFromString(await response.text(), 'text/html');
+      const variantPicker = html.querySelector('variant-picker');
+
+      if (!response.ok || !variantPicker) throw new Error(`Variant picker not found for ${url}`);
+
+      this.refs.picker.replaceChildren(document.importNode(variantPicker, true));
+      this.#loadedKey = key;
+      this.#selectedVariantId = this.dataset.variantId ?? null;
+      this.#isPreorder = undefined;
+      this.refs.updateButton.disabled = true;
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return;
+
+      console.error(error);
+      this.#showError(Theme.translations.cart_update_error ?? '');
+    }
+  }
+
+  /**
+   * Enables the update button when the selected variant is available and differs from the line's variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    const variant = event.detail.resource;
+    const { updateButton } = this.refs;
+    const preorderProperty = event.detail.data.html.querySelector('[ref="preorderProperty"]');
+
+    this.#selectedVariantId = variant ? String(variant.id) : null;
+    this.#isPreorder = preorderProperty instanceof HTMLInputElement ? !preorderProperty.disabled : undefined;
+    updateButton.disabled = !variant?.available || this.#selectedVariantId === this.dataset.variantId;
+
+    if (variant && !variant.available) {
+      this.#showError(Theme.translations.unavailable ?? '');
+    } else {
+      this.#hideError();
+    }
+  };
+
+  /**
+   * Shows an error message.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.remove('hidden');
+  }
+
+  #hideError() {
+    this.refs.error.classList.add('hidden');
+  }
+}
+
+if (!customElements.get('cart-variant-editor')) {
+  customElements.define('cart-variant-editor', CartVariantEditor);
+}
@@ -0,0 +1,688 @@
+import { CartAddEvent, CartErrorEvent, CartUpdateEvent, ThemeEvents } from '@theme/events';
+import { fetchConfig, wait } from '@theme/utilities';
+
+/**
+ * @typedef {Object} CartLine
+ * @property {string} key - The line item key
+ * @property {number} id - The variant id
+ * @property {number} variant_id - The variant id
+ * @property {number} product_id - The product id
+ * @property {string} handle - The product handle
+ * @property {string} title - The line title
+ * @property {string} url - The variant URL
+ * @property {string} product_title - The product title
+ * @property {string | null} variant_title - The variant title, null for products with only the default variant
+ * @property {string | null} image - The line image URL
+ * @property {number} quantity - The quantity
+ * @property {number} final_price - The price of one item, in cents
+ * @property {number} final_line_price - The price of the line, in cents
+ * @property {number} original_line_price - The price of the line before discounts, in cents
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {{ selling_plan: { id: number, name: string } } | null} [selling_plan_allocation] - The selling plan of the line
+ * @property {{ parent_key: string } | null} [parent_relationship] - The line the line is nested in, e.g. for add-ons
+ */
+
+/**
+ * The normalized cart, following the shape of the AJAX cart API.
+ *
+ * @typedef {Object} CartState
+ * @property {string} token - The cart token
+ * @property {number} item_count - The number of items in the cart
+ * @property {CartLine[]} items - The cart lines
+ * @property {number} total_price - The total price, in cents
+ * @property {number} original_total_price - The total price before discounts, in cents
+ * @property {number} items_subtotal_price - The price of the lines, in cents
+ * @property {number} total_discount - The total discount, in cents
+ * @property {string} currency - The ISO code of the cart currency
+ * @property {boolean} requires_shipping - Whether the cart requires shipping
+ * @property {string} note - The cart note
+ * @property {Record<string, string>} attributes - The cart attributes
+ * @property {{ code: string, applicable: boolean }[]} discount_codes - The discount codes applied to the cart
+ * @property {{ title: string, total_allocated_amount: number }[]} cart_level_discount_applications - The cart level discounts
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {EventTarget} [target] - The element the cart events are dispatched from, defaults to the document
+ * @property {string} [sourceId] - The id of the element the action was triggered from
+ * @property {string} [source] - The source of the cart update, e.g. `product-form-component`
+ * @property {Record<string, any>} [data] - Additional event data, e.g. the `productId`
+ * @property {string[]} [sections] - The ids of the sections to render along with the request
+ * @property {boolean} [silent] - Updates the state without notifying subscribers or dispatching events, see `publish`
+ * @property {AbortSignal} [signal] - The signal to abort the request
+ */
+
+/**
+ * @typedef {Object} CartResponse
+ * @property {CartState} cart - The updated cart
+ * @property {Record<string, string>} sections - The rendered sections
+ * @property {CartLine[]} [items] - The lines that were added, for additions
+ */
+
+/**
+ * @typedef {Object} CartAddItem
+ * @property {number | string} id - The variant id
+ * @property {number} quantity - The quantity
+ * @property {Record<string, string>} [properties] - The line item properties
+ * @property {number | string} [selling_plan] - The selling plan id
+ * @property {number | string} [parent_id] - The variant id or line item key of the line the item is nested in
+ */
+
+/**
+ * @typedef {Object} CartChange
+ * @property {string} [id] - The line item key
+ * @property {number} [line] - The 1-based line index, when the key isn't known
+ * @property {number} quantity - The new quantity
+ * @property {Record<string, string>} [properties] - The new line item properties
+ * @property {number | string | null} [selling_plan] - The new selling plan id
+ */
+
+/**
+ * @typedef {Object} CartUpdate
+ * @property {Record<string, number>} [updates] - The quantities by variant id or line item key
+ * @property {string} [note] - The cart note
+ * @property {Record<string, string>} [attributes] - The cart attributes
+ * @property {string} [discount] - The comma separated discount codes
+ */
+
+/**
+ * @typedef {(cart: CartState) => void} CartSubscriber
+ */
+
+/**
+ * The name of the channel, and of the storage key used as a fallback, that cart changes are shared through.
+ */
+const SYNC_CHANNEL_NAME = 'theme:cart';
+
+/**
+ * The storage key of the saves that failed, which are resent on the next cart request or page load.
+ */
+const PENDING_STORAGE_KEY = 'theme:cart-pending';
+
+/**
+ * The number of times a save is retried after a transient failure.
+ */
+const SAVE_RETRIES = 3;
+
+/**
+ * The delay before the first retry of a save, doubled for each retry.
+ */
+const SAVE_RETRY_DELAY = 1000;
+
+/**
+ * Thrown when the server rejects a cart request.
+ */
+export class CartError extends Error {
+  /**
+   * @param {string} message - The message from the server response
+   * @param {string} [description] - The description from the server response
+   * @param {Object} [errors] - The errors from the server response
+   * @param {number} [status] - The HTTP status of the server response
+   */
+  constructor(message, description, errors, status) {
+    super(message);
+    this.description = description;
+    this.errors = errors;
+    this.status = status;
+  }
+}
+
+/**
+ * The client-side cart, shared by all cart components.
+ *
+ * Every request goes through the store, so that the cart icon, the drawer and the cart forms read the same cart.
+ * Successful requests update the state, notify subscribers and dispatch a `CartAddEvent` or `CartUpdateEvent`
+ * with the full cart as `resource`. Rejected requests dispatch a `CartErrorEvent` and throw a `CartError`.
+ *
+ * Changes are shared with the other tabs of the store, which update their state and dispatch a `CartUpdateEvent`
+ * without sections, so their cart sections are re-rendered.
+ *
+ * Saves of the note, attributes or discount codes are retried when they fail for a transient reason, e.g. the
+ * network. Once the retries are exhausted, they're kept in local storage and resent on the next cart request or
+ * page load.
+ */
+class CartStore {
+  /** @type {CartState} */
+  #cart = normalizeCart(readInitialCart());
+
+  /** @type {Set<CartSubscriber>} */
+  #subscribers = new Set();
+
+  /** @type {Promise<CartState> | null} */
+  #pendingFetch = null;
+
+  /**
+   * Whether the cart was changed in this tab since subscribers were last notified.
+   */
+  #changed = false;
+
+  /** @type {Promise<CartResponse | null> | null} */
+  #pendingFlush = null;
+
+  /** @type {BroadcastChannel | null} */
+  #channel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+  constructor() {
+    if (this.#channel) {
+      this.#channel.addEventListener('message', (event) => this.#receive(event.data));
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key !== SYNC_CHANNEL_NAME || !event.newValue) return;
+
+        try {
+          this.#receive(JSON.parse(event.newValue));
+        } catch (_) {
+          // no-op
+        }
+      });
+    }
+
+    // Cart updates that don't carry the store's cart come from outside the store, so they are re-fetched
+    document.addEventListener(ThemeEvents.cartUpdate, (event) => {
+      if (/** @type {CartUpdateEvent} */ (event).detail?.resource === this.#cart) return;
+
+      // The cart stays as it is when it can't be fetched, e.g. offline
+      this.#fetchCart()
+        .then(() => this.publish())
+        .catch(() => {});
+    });
+
+    // Scripts that can't import the store request a refresh once they changed the cart
+    document.addEventListener('cart:refresh', () => {
+      this.#changed = true;
+      this.refresh().catch(() => {});
+    });
+
+    // Pages restored from the back/forward cache may show an outdated cart
+    window.addEventListener('pageshow', (event) => {
+      if (!event.persisted) return;
+
+      this.#fetchCart()
+        .then(() => this.publish())
+        .catch(() => {});
+    });
+
+    // Saves that failed before the page was left are resent
+    if (this.getPending()) this.flush().catch(() => {});
+  }
+
+  /**
+   * Gets the current cart.
+   * @returns {CartState} The cart
+   */
+  get() {
+    return this.#cart;
+  }
+
+  /**
+   * Subscribes to cart changes.
+   * @param {CartSubscriber} callback - Called with the cart every time it changes
+   * @returns {() => void} A function to unsubscribe
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Notifies subscribers of the current cart, e.g. after a series of silent requests, and shares changes made
+   * in this tab with the other tabs.
+   */
+  publish() {
+    for (const callback of this.#subscribers) {
+      callback(this.#cart);
+    }
+
+    if (this.#changed) {
+      this.#changed = false;
+      this.#broadcast();
+    }
+  }
+
+  /**
+   * Adds items to the cart.
+   *
+   * The server may add part of the items before rejecting the request, e.g. when the quantity exceeds the
+   * inventory, so the cart is re-fetched in both cases. The `CartAddEvent` of a successful request includes the
+   * added lines as `items`.
+   *
+   * @param {FormData | CartAddItem[]} items - The product form data or the items to add
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResponse>} The updated cart, the rendered sections and the added lines
+   */
+  async add(items, options = {}) {
+    /** @type {RequestInit} */
+    let config;
+
+    if (items instanceof FormData) {
+      if (options.sections?.length) {
+        items.append('sections', options.sections.join(','));
+        items.append('sections_url', window.location.pathname);
+      }
+
+      config = fetchConfig('javascript', { body: items });
+      config.headers = { ...config.headers, Accept: 'text/html' };
+    } else {
+      config = fetchConfig('json', { body: this.#buildBody({ items }, options) });
+    }
+
+    try {
+      const data = await this.#request(Theme.routes.cart_add_url, config, options);
+      this.#changed = true;
+      const cart = await this.#fetchCart();
+      const sections = data.sections ?? {};
+      // A single item is returned as the line itself
+      /** @type {CartLine[]} */
+      const addedItems = data.items ?? [data];
+
+      this.#commit({ ...options, data: { ...options.data, items: addedItems } }, sections, CartAddEvent);
+      this.#resendPending();
+
+      return { cart, sections, items: addedItems };
+    } catch (error) {
+      if (error instanceof CartError) {
+        // The back-end may still have added part of the items, the error is reported even if the cart can't be fetched
+        this.#changed = true;
+        await this.#fetchCart().catch(() => {});
+        this.#commit({ ...options, data: { ...options.data, didError: true } }, {}, CartAddEvent);
+        this.#dispatchError(error, options);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Changes the quantity, properties or selling plan of a cart line.
+   * @param {CartChange} change - The change to make
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResponse>} The updated cart and the rendered sections
+   */
+  async change(change, options = {}) {
+    const response = await this.#mutate(Theme.routes.cart_change_url, change, options);
+
+    this.#resendPending();
+
+    return response;
+  }
+
+  /**
+   * Updates the cart quantities, note, attributes or discount codes.
+   * @param {CartUpdate} update - The update to make
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResponse>} The updated cart and the rendered sections
+   */
+  async update(update, options = {}) {
+    const response = await this.#mutate(Theme.routes.cart_update_url, update, options);
+
+    this.#resendPending();
+
+    return response;
+  }
+
+  /**
+   * Saves the note, attributes or discount codes, retrying transient failures with an exponential backoff.
+   *
+   * Once the retries are exhausted, the update is kept to be resent, see `getPending`, and a `CartErrorEvent` is
+   * dispatched even if the request is silent, so the failure is never lost. An update the server rejects is dropped
+   * instead, including when it's resent.
+   *
+   * @param {CartUpdate} update - The update to save
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartResponse>} The updated cart and the rendered sections
+   */
+  async save(update, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.#mutate(Theme.routes.cart_update_url, update, { ...options, silent: true });
+
+        this.#clearPending(update);
+        this.#commit(options, response.sections, CartUpdateEvent);
+        this.#resendPending();
+
+        return response;
+      } catch (error) {
+        if (error instanceof Error && error.name === 'AbortError') throw error;
+
+        const isTransient = isTransientError(error);
+
+        if (isTransient && attempt < SAVE_RETRIES) {
+          await wait(SAVE_RETRY_DELAY * 2 ** attempt, options.signal);
+          continue;
+        }
+
+        // Only transient failures are worth resending, a rejected update would fail the same way on every resend
+        if (isTransient) {
+          this.#storePending(update);
+        } else {
+          this.#clearPending(update);
+        }
+
+        const cartError = error instanceof CartError ? error : new CartError(String(error));
+        this.#dispatchError(cartError, { ...options, silent: false });
+
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Gets the saves that failed for the current cart, merged in a single update.
+   * @returns {CartUpdate | null} The update to resend, if any
+   */
+  getPending() {
+    try {
+      const pending = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY) ?? 'null');
+
+      // Saves made for another cart, e.g. before checking out, don't apply anymore
+      return pending?.token === this.#cart.token ? pending.update : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Resends the saves that failed. Concurrent calls share the same request.
+   * @returns {Promise<CartResponse | null>} The updated cart and the rendered sections, or null if nothing was pending
+   */
+  flush() {
+    if (this.#pendingFlush) return this.#pendingFlush;
+
+    const pending = this.getPending();
+
+    if (!pending) return Promise.resolve(null);
+
+    this.#pendingFlush = this.save(pending).finally(() => {
+      this.#pendingFlush = null;
+    });
+
+    return this.#pendingFlush;
+  }
+
+  /**
+   * Fetches the current cart from the server.
+   * @param {CartRequestOptions} [options] - The request options
+   * @returns {Promise<CartState>} The cart
+   */
+  async refresh(options = {}) {
+    const cart = await this.#fetchCart(options.signal);
+
+    this.#commit(options, {}, CartUpdateEvent);
+
+    return cart;
+  }
+
+  /**
+   * Resends the saves that failed, after a successful request.
+   */
+  #resendPending() {
+    if (!this.#pendingFlush && this.getPending()) this.flush().catch(() => {});
+  }
+
+  /**
+   * Keeps a failed save to resend it, merged with the ones that failed before.
+   * @param {CartUpdate} update - The update that failed
+   */
+  #storePending(update) {
+    const pending = this.getPending() ?? {};
+    const attributes = { ...pending.attributes, ...update.attributes };
+    const merged = { ...pending, ...update };
+
+    if (Object.keys(attributes).length) merged.attributes = attributes;
+
+    try {
+      localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify({ token: this.#cart.token, update: merged }));
+    } catch (_) {
+      // Storage may be full or unavailable, the save is only lost if the page is left
+    }
+  }
+
+  /**
+   * Forgets the failed saves of the fields an update saved.
+   * @param {CartUpdate} update - The update that was saved
+   */
+  #clearPending(update) {
+    const pending = this.getPending();
+
+    if (!pending) return;
+
+    for (const key of /** @type {(keyof CartUpdate)[]} */ (Object.keys(update))) {
+      if (key !== 'attributes') delete pending[key];
+    }
+
+    for (const name of Object.keys(update.attributes ?? {})) {
+      delete pending.attributes?.[name];
+    }
+
+    if (pending.attributes && !Object.keys(pending.attributes).length) delete pending.attributes;
+
+    try {
+      if (Object.keys(pending).length) {
+        localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify({ token: this.#cart.token, update: pending }));
+      } else {
+        localStorage.removeItem(PENDING_STORAGE_KEY);
+      }
+    } catch (_) {
+      // no-op
+    }
+  }
+
+  /**
+   * Sends a change or an update and applies the returned cart.
+   * @param {string} url - The endpoint
+   * @param {CartChange | CartUpdate} payload - The request payload
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<CartResponse>} The updated cart and the rendered sections
+   */
+  async #mutate(url, payload, options) {
+    try {
+      const config = fetchConfig('json', { body: this.#buildBody(payload, options) });
+      const { sections = {}, ...data } = await this.#request(url, config, options);
+
+      this.#cart = normalizeCart(data);
+      this.#changed = true;
+      this.#commit(options, sections, CartUpdateEvent);
+
+      return { cart: this.#cart, sections };
+    } catch (error) {
+      if (error instanceof CartError) this.#dispatchError(error, options);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Sends a cart request.
+   * @param {string} url - The endpoint
+   * @param {RequestInit} config - The fetch configuration
+   * @param {CartRequestOptions} options - The request options
+   * @returns {Promise<any>} The response payload
+   */
+  async #request(url, config, options) {
+    const response = await fetch(url, { ...config, signal: options.signal });
+    const data = await response.json();
+
+    if (!response.ok || data.status || data.errors) {
+      const message = typeof data.errors === 'string' ? data.errors : data.message;
+
+      throw new CartError(message, data.description, data.errors, response.status);
+    }
+
+    return data;
+  }
+
+  /**
+   * Builds a JSON request body, requesting the sections to render.
+   * @param {Object} payload - The request payload
+   * @param {CartRequestOptions} options - The request options
+   * @returns {string} The request body
+   */
+  #buildBody(payload, options) {
+    if (!options.sections?.length) return JSON.stringify(payload);
+
+    return JSON.stringify({
+      ...payload,
+      sections: options.sections.join(','),
+      sections_url: window.location.pathname,
+    });
+  }
+
+  /**
+   * Fetches the cart and stores it, without notifying anyone. Concurrent calls share the same request.
+   * @param {AbortSignal} [signal] - The signal to abort the request
+   * @returns {Promise<CartState>} The cart
+   */
+  #fetchCart(signal) {
+    if (this.#pendingFetch) return this.#pendingFetch;
+
+    this.#pendingFetch = fetch(`${Theme.routes.cart_url}.js`, { signal })
+      .then((response) => response.json())
+      .then((data) => {
+        this.#cart = normalizeCart(data);
+        return this.#cart;
+      })
+      .finally(() => {
+        this.#pendingFetch = null;
+      });
+
+    return this.#pendingFetch;
+  }
+
+  /**
+   * Shares the current cart with the other tabs.
+   */
+  #broadcast() {
+    const message = { cart: this.#cart, timestamp: Date.now() };
+
+    if (this.#channel) {
+      this.#channel.postMessage(message);
+      return;
+    }
+
+    try {
+      localStorage.setItem(SYNC_CHANNEL_NAME, JSON.stringify(message));
+    } catch (_) {
+      // Storage may be full or unavailable, the other tabs catch up on their next cart request
+    }
+  }
+
+  /**
+   * Applies a cart shared by another tab.
+   * @param {{ cart?: CartState }} message - The message from the other tab
+   */
+  #receive(message) {
+    if (!message?.cart) return;
+
+    this.#cart = normalizeCart(message.cart);
+    this.publish();
+
+    // Without sections, the cart items components re-render their section from the server
+    document.dispatchEvent(
+      new CartUpdateEvent(this.#cart, '', {
+        source: 'cart-sync',
+        itemCount: this.#cart.item_count,
+      })
+    );
+  }
+
+  /**
+   * Notifies subscribers and dispatches a cart event for the current cart, unless the request is silent.
+   * @param {CartRequestOptions} options - The request options
+   * @param {Record<string, string>} sections - The rendered sections
+   * @param {typeof CartAddEvent | typeof CartUpdateEvent} EventClass - The event to dispatch
+   */
+  #commit(options, sections, EventClass) {
+    if (options.silent) return;
+
+    this.publish();
+
+    const { target = document, sourceId = '', source, data } = options;
+
+    target.dispatchEvent(
+      new EventClass(this.#cart, sourceId, {
+        ...data,
+        source,
+        itemCount: this.#cart.item_count,
+        sections,
+      })
+    );
+  }
+
+  /**
+   * Dispatches a cart error event, unless the request is silent.
+   * @param {CartError} error - The error
+   * @param {CartRequestOptions} options - The request options
+   */
+  #dispatchError(error, options) {
+    if (options.silent) return;
+
+    const { target = document, sourceId = '' } = options;
+
+    target.dispatchEvent(new CartErrorEvent(sourceId, error.message, error.description ?? '', error.errors ?? {}));
+  }
+}
+
+/**
+ * Gets the ids of the sections rendering cart items, to render them along with the request.
+ * @returns {string[]} The section ids.
+ */
+export function getCartItemsSectionIds() {
+  /** @type {string[]} */
+  const sectionIds = [];
+
+  document.querySelectorAll('cart-items-component').forEach((item) => {
+    if (item instanceof HTMLElement && item.dataset.sectionId) sectionIds.push(item.dataset.sectionId);
+  });
+
+  return sectionIds;
+}
+
+/**
+ * Whether a request failed for a reason that may not happen again, e.g. the network or an overloaded server.
+ * @param {unknown} error - The error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (error instanceof CartError) return error.status === 429 || (error.status ?? 0) >= 500;
+
+  // Network failures reject the fetch, and error pages that aren't JSON fail to parse
+  return error instanceof TypeError || error instanceof SyntaxError;
+}
+
+/**
+ * Reads the cart rendered with the page.
+ * @returns {Object} The cart JSON
+ */
+function readInitialCart() {
+  try {
+    return JSON.parse(document.getElementById('cart-json')?.textContent || '{}');
+  } catch (_) {
+    return {};
+  }
+}
+
+/**
+ * Normalizes a cart payload, leaving out the sections and filling in missing fields.
+ * @param {any} data - The cart JSON
+ * @returns {CartState} The normalized cart
+ */
+function normalizeCart(data) {
+  return {
+    token: data.token ?? '',
+    item_count: data.item_count ?? 0,
+    items: data.items ?? [],
+    total_price: data.total_price ?? 0,
+    original_total_price: data.original_total_price ?? 0,
+    items_subtotal_price: data.items_subtotal_price ?? 0,
+    total_discount: data.total_discount ?? 0,
+    currency: data.currency ?? Theme.money.currency,
+    requires_shipping: data.requires_shipping ?? false,
+    note: data.note ?? '',
+    attributes: data.attributes ?? {},
+    discount_codes: data.discount_codes ?? [],
+    cart_level_discount_applications: data.cart_level_discount_applications ?? [],
+  };
+}
+
+export const cartStore = new CartStore();
@@ -0,0 +1,220 @@
+import { DialogComponent } from '@theme/dialog';
+import { sectionRenderer } from '@theme/section-renderer';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
+import { compareStore, MAX_COMPARE_ITEMS } from '@theme/product-compare';
+
+/** @typedef {import('./product-compare').CompareItem} CompareItem */
+
+/**
+ * The section rendering the comparison table.
+ */
+const SECTION_ID = 'product-compare';
+
+/**
+ * A custom element that shows the products selected for comparison in a sticky tray, and compares them side by
+ * side in a dialog.
+ *
+ * The comparison table is rendered by the `product-compare` section, its rows are highlighted when the products
+ * differ.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The compare dialog.
+ * @property {HTMLUListElement} items - The list of selected products.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a selected product.
+ * @property {HTMLElement} count - The number of selected products.
+ * @property {HTMLButtonElement} compareButton - The button opening the compare dialog.
+ * @property {HTMLElement} table - The container of the comparison table.
+ *
+ * @extends {DialogComponent}
+ */
+class CompareTray extends DialogComponent {
+  requiredRefs = ['dialog', 'items', 'itemTemplate', 'count', 'compareButton', 'table'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = compareStore.subscribe(this.#render);
+    this.#render(compareStore.get());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Opens the compare dialog with the selected products.
+   */
+  async compare() {
+    const { table } = /** @type {Refs} */ (this.refs);
+    const items = compareStore.get();
+
+    if (items.length < 2) return;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    const { signal } = this.#abortController;
+
+    table.setAttribute('aria-busy', 'true');
+    this.showDialog();
+
+    try {
+      const url = new URL(Theme.routes.search_url, location.origin);
+      url.searchParams.set('q', items.map(({ productId }) => `id:${productId}`).join(' OR '));
+      url.searchParams.set('resources[type]', 'product');
+
+      const html = await sectionRenderer.getSectionHTML(SECTION_ID, false, url);
+
+      if (signal.aborted) return;
+
+      const newTable = new DOMParser().parseFromString(html, 'text/html').querySelector('.product-compare__table');
+
+      if (newTable) {
+        orderColumns(newTable, items);
+        highlightDifferences(newTable);
+      }
+
+      table.replaceChildren(...(newTable ? [newTable] : []));
+    } catch (error) {
+      console.error('Compare error:', error);
+      table.textContent = this.dataset.errorMessage ?? '';
+    } finally {
+      table.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Deselects all the products.
+   */
+  clear() {
+    compareStore.clear();
+  }
+
+  /**
+   * Adds the selected variant of a compared product to the cart.
+   * @param {number} productId - The product id.
+   * @param {Event} event - The click event.
+   */
+  async addToCart(productId, event) {
+    const { table } = /** @type {Refs} */ (this.refs);
+    const button = event.target;
+    const cell = table.querySelector(`.product-compare__buy[data-product-id="${productId}"]`);
+    const input = cell?.querySelector('[name="id"]');
+    const error = cell?.querySelector('.product-compare__error');
+
+    if (
+      !(button instanceof HTMLButtonElement) ||
+      !(input instanceof HTMLInputElement || input instanceof HTMLSelectElement)
+    )
+      return;
+
+    button.disabled = true;
+    error?.classList.add('hidden');
+
+    try {
+      await cartStore.add([{ id: Number(input.value), quantity: 1 }], {
+        target: button,
+        sourceId: String(productId),
+        source: 'product-compare',
+        sections: getCartItemsSectionIds(),
+      });
+
+      this.closeDialog();
+    } catch (addError) {
+      if (error) {
+        error.textContent =
+          addError instanceof CartError
+            ? addError.description || addError.message
+            : (Theme.translations.cart_update_error ?? '');
+        error.classList.remove('hidden');
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the selected products, and the tray when there are any.
+   * @param {CompareItem[]} items - The selected products.
+   */
+  #render = (items) => {
+    const { items: list, count, compareButton, dialog } = /** @type {Refs} */ (this.refs);
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item)));
+    count.textContent = (this.dataset.countMessage ?? '')
+      .replace('[count]', String(items.length))
+      .replace('[max]', String(MAX_COMPARE_ITEMS));
+    compareButton.disabled = items.length < 2;
+
+    this.classList.toggle('hidden', items.length === 0);
+
+    if (items.length < 2 && dialog.open) this.closeDialog();
+  };
+
+  /**
+   * Renders a selected product.
+   * @param {CompareItem} item - The product.
+   * @returns {Node} The rendered product.
+   */
+  #renderItem(item) {
+    const { itemTemplate } = /** @type {Refs} */ (this.refs);
+    const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+    const image = fragment.querySelector('.compare-tray__image');
+    const title = fragment.querySelector('.compare-tray__title');
+    const removeButton = fragment.querySelector('.compare-tray__remove');
+
+    if (image instanceof HTMLImageElement) {
+      if (item.image) image.src = item.image;
+      else image.remove();
+    }
+
+    if (title) title.textContent = item.title;
+
+    removeButton?.setAttribute('aria-label', (this.dataset.removeLabel ?? '').replace('[title]', item.title));
+    removeButton?.addEventListener('click', () => compareStore.remove(item.productId));
+
+    return fragment;
+  }
+}
+
+/**
+ * Orders the columns of the comparison table as the products were selected.
+ * @param {Element} table - The comparison table.
+ * @param {CompareItem[]} items - The selected products.
+ */
+function orderColumns(table, items) {
+  for (const row of table.querySelectorAll('tr')) {
+    for (const { productId } of items) {
+      const cell = row.querySelector(`:scope > [data-product-id="${productId}"]`);
+
+      if (cell) row.append(cell);
+    }
+  }
+}
+
+/**
+ * Marks the rows of the comparison table where the products differ.
+ * @param {Element} table - The comparison table.
+ */
+function highlightDifferences(table) {
+  for (const row of table.querySelectorAll('tr[data-compare-row]')) {
+    const values = new Set(
+      Array.from(row.querySelectorAll(':scope > td'), (cell) => cell.textContent?.replace(/\s+/g, ' ').trim())
+    );
+
+    row.toggleAttribute('data-different', values.size > 1);
+  }
+}
+
+if (!customElements.get('compare-tray')) {
+  customElements.define('compare-tray', CompareTray);
+}
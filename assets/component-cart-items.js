@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { formatCents, onAnimationEnd, prefersReducedMotion } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +9,55 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
+import { savedItems } from '@theme/saved-items';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-icon').CartIcon} CartIcon */
+/** @typedef {import('./cart').CartAddItem} CartAddItem */
+/** @typedef {import('./cart').CartLine} CartLine */
+/** @typedef {import('./cart').CartResponse} CartResponse */
+/** @typedef {import('./component-quantity-selector').QuantitySelectorComponent} QuantitySelectorComponent */
+
+/**
+ * The confirmed state of a cart line, restored when a change is rejected.
+ *
+ * @typedef {object} LineSnapshot
+ * @property {HTMLElement} row - The cart item row.
+ * @property {number} quantity - The quantity of the line.
+ * @property {number} linePrice - The line price, in cents.
+ */
+
+/**
+ * A change to a cart line that is not confirmed by the server yet.
+ *
+ * @typedef {object} PendingLineChange
+ * @property {number} line - The line index the change was made on.
+ * @property {number} quantity - The latest quantity requested for the line.
+ * @property {LineSnapshot[]} snapshots - The confirmed state of the line and its nested lines.
+ * @property {boolean} inFlight - Whether a request for the line is in flight.
+ * @property {PerformanceMark[]} markers - The performance markers of the user actions merged into the change.
+ */
+
+/**
+ * A removed line that can still be added back.
+ *
+ * @typedef {object} RemovedLine
+ * @property {CartAddItem} item - The line to add back, with its variant, quantity, properties and selling plan.
+ * @property {CartAddItem[]} nestedItems - The nested lines removed along with the line.
+ * @property {HTMLElement} element - The undo element.
+ * @property {HTMLButtonElement} button - The undo button.
+ * @property {number} timeout - The timeout after which the line can't be added back anymore.
+ */
+
+/**
+ * A line saved for later, waiting for its removal from the cart to be confirmed.
+ *
+ * @typedef {object} LineSavedForLater
+ * @property {CartLine} line - The cart line.
+ * @property {string | undefined} message - The message announced once the line is saved.
+ * @property {boolean} hadFocus - Whether the line had focus, which then moves to the saved items.
+ */
 
 /**
  * A custom element that displays a cart items component.
@@ -19,35 +66,110 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [cartItemCount] - The hidden cart item count.
+ * @property {HTMLElement} [cartBubbleCount] - The cart bubble count, when the section shows one.
+ * @property {HTMLElement} [undoList] - The list of removed lines that can be added back, when enabled.
+ * @property {HTMLTemplateElement} [undoTemplate] - The template of a removed line.
+ * @property {HTMLElement} [liveRegion] - The live region that announces changes made to the lines.
  *
  * @extends {Component<Refs>}
  */
-class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+export class CartItemsComponent extends Component {
+  /**
+   * Changes that are applied to the cart lines but not confirmed yet, by line item key.
+   * Changes to a line that is already being updated are merged into a single follow-up request.
+   *
+   * @type {Map<string, PendingLineChange>}
+   */
+  #pendingChanges = new Map();
+
+  /**
+   * The sections rendered with the latest confirmed change, applied once all pending changes are settled.
+   *
+   * @type {Record<string, string> | null}
+   */
+  #confirmedSections = null;
+
+  /**
+   * The errors of rejected changes, by line item key, shown once all pending changes are settled.
+   *
+   * @type {Map<string, string>}
+   */
+  #lineErrors = new Map();
+
+  /**
+   * The lines being saved for later, by line item key. They're only saved once their removal is confirmed.
+   *
+   * @type {Map<string, LineSavedForLater>}
+   */
+  #linesSavedForLater = new Map();
+
+  /**
+   * The removed lines that can still be added back, by line item key.
+   *
+   * @type {Map<string, RemovedLine>}
+   */
+  #removedLines = new Map();
+
+  /**
+   * The key of the removed line whose undo button has focus, to keep the focus when the list is re-attached.
+   *
+   * @type {string | null}
+   */
+  #focusedUndoKey = null;
+
+  /**
+   * The keys of the lines whose nested lines are collapsed, kept when the section is morphed.
+   *
+   * @type {Set<string>}
+   */
+  #collapsedGroups = new Set();
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+
+    for (const { timeout } of this.#removedLines.values()) clearTimeout(timeout);
+    this.#removedLines.clear();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderGroups();
+
+    // The list of removed lines is replaced when the cart section changes layout, e.g. once it's empty
+    const { undoList } = this.refs;
+
+    if (!undoList) return;
+
+    for (const [key, { element, button }] of this.#removedLines) {
+      if (element.parentElement === undoList) continue;
+
+      undoList.append(element);
+      if (key === this.#focusedUndoKey) button.focus();
+    }
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
+  #onQuantityChange = (event) => {
     const { quantity, cartLine: line } = event.detail;
 
-    if (!line) return;
+    if (!line || isNaN(quantity)) return;
+    if (!(event.target instanceof Node) || !this.contains(event.target)) return;
 
     if (quantity === 0) {
       return this.onLineItemRemove(line);
@@ -58,51 +180,405 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
-    const lineItemRow = this.refs.cartItemRows[line - 1];
+  };
+
+  /**
+   * Handles the line item removal.
+   * @param {number} line - The line item index.
+   */
+  onLineItemRemove(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    const hadFocus = !!row?.contains(document.activeElement);
+
+    // The line is part of a bundle that can only be removed as a whole
+    if (row?.dataset.removeBlockedMessage) {
+      this.#showLineError(row, row.dataset.removeBlockedMessage);
+      return;
+    }
 
-    if (!lineItemRow) return;
+    const isGroup = !!row && this.#getNestedRows(row).length > 0;
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
+    this.updateQuantity({
+      line,
+      quantity: 0,
+      action: 'clear',
+    });
+
+    if (!row) return;
+
+    const isUndoOffered = this.#offerUndo(row, hadFocus);
+
+    // The undo message announces the removal, otherwise the group is announced as a single item
+    if (isGroup && !isUndoOffered) this.#announce(row.dataset.removedMessage);
   }
 
   /**
-   * Handles the line item removal.
+   * Saves a line for later and removes it from the cart.
    * @param {number} line - The line item index.
    */
-  onLineItemRemove(line) {
+  saveForLater(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    const cartLine = cartStore.get().items.find((item) => item.key === row?.dataset.key);
+
+    if (!row || !cartLine) return;
+
+    this.#linesSavedForLater.set(cartLine.key, {
+      line: cartLine,
+      message: row.dataset.savedMessage,
+      hadFocus: row.contains(document.activeElement),
+    });
+
     this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
     });
+  }
+
+  /**
+   * Saves a line for later once its new quantity is confirmed, if it was removed from the cart.
+   * @param {string} key - The line item key.
+   * @param {number} quantity - The confirmed quantity.
+   */
+  #confirmSaveForLater(key, quantity) {
+    const savedLine = this.#linesSavedForLater.get(key);
+
+    if (!savedLine) return;
+
+    this.#linesSavedForLater.delete(key);
+
+    // The line was added back to the cart before its removal was confirmed
+    if (quantity > 0) return;
+
+    savedItems.add(savedLine.line);
+    this.#announce(savedLine.message);
+
+    if (!savedLine.hadFocus) return;
+
+    // The saved items are rendered when they change, the focus follows the line there once the section is morphed
+    queueMicrotask(() => {
+      const moveButton = this.querySelector('.saved-items__move');
+      if (moveButton instanceof HTMLElement) moveButton.focus();
+    });
+  }
+
+  /**
+   * Collapses or expands the nested lines of a line.
+   * @param {number} line - The line item index.
+   */
+  toggleGroup(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    if (!key) return;
+
+    if (!this.#collapsedGroups.delete(key)) this.#collapsedGroups.add(key);
+
+    this.#renderGroups();
+  }
+
+  /**
+   * Shows the nested lines of the expanded groups and hides the others.
+   */
+  #renderGroups() {
+    for (const row of this.refs.cartItemRows ?? []) {
+      const toggle = row.querySelector('.cart-items__group-toggle');
+
+      if (!(toggle instanceof HTMLElement) || !row.dataset.key) continue;
+
+      const isCollapsed = this.#collapsedGroups.has(row.dataset.key);
+      const { showLabel = '', hideLabel = '' } = toggle.dataset;
+
+      toggle.setAttribute('aria-expanded', String(!isCollapsed));
+      toggle.textContent = isCollapsed ? showLabel : hideLabel;
+
+      for (const nestedRow of this.#getNestedRows(row)) {
+        nestedRow.classList.toggle('cart-items__nested-line--collapsed', isCollapsed);
+      }
+    }
+  }
+
+  /**
+   * Announces a message to screen readers.
+   * @param {string} [message] - The message.
+   */
+  #announce(message) {
+    if (this.refs.liveRegion && message) this.refs.liveRegion.textContent = message;
+  }
+
+  /**
+   * Lists a removed line so it can be added back for the configured time.
+   * @param {HTMLElement} row - The removed row.
+   * @param {boolean} moveFocus - Whether to move the focus to the undo button.
+   * @returns {boolean} Whether the line can be added back.
+   */
+  #offerUndo(row, moveFocus) {
+    const { undoList, undoTemplate } = this.refs;
+    const { key, removedMessage = '', undoLabel = '' } = row.dataset;
+    const duration = Number(undoList?.dataset.undoDuration) * 1000;
+    const { items } = cartStore.get();
+    const line = items.find((item) => item.key === key);
+
+    if (!undoList || !undoTemplate || !key || !line || !duration) return false;
+
+    this.#dismissUndo(key);
+
+    const element = /** @type {HTMLElement | null} */ (undoTemplate.content.firstElementChild?.cloneNode(true));
+    const button = element?.querySelector('button');
+    const text = element?.querySelector('.cart-items__undo-text');
+
+    if (!element || !button || !text) return false;
+
+    text.textContent = removedMessage;
+    button.setAttribute('aria-label', undoLabel);
+    button.addEventListener('click', () => this.#undoRemove(key));
+    element.addEventListener('focusin', () => (this.#focusedUndoKey = key));
+    element.addEventListener('focusout', (event) => {
+      // The focus is lost without a related target when the list is re-attached
+      if (event.relatedTarget) this.#focusedUndoKey = null;
+    });
+
+    // Nested lines are removed along with their parent, so they're added back with it
+    const nestedLines = this.#getNestedRows(row).flatMap((nestedRow) =>
+      items.filter((item) => item.key === nestedRow.dataset.key)
+    );
+
+    this.#removedLines.set(key, {
+      item: toAddItem(line),
+      nestedItems: nestedLines.map((nestedLine) => ({ ...toAddItem(nestedLine), parent_id: line.variant_id })),
+      element,
+      button,
+      timeout: setTimeout(() => this.#dismissUndo(key), duration),
+    });
+
+    undoList.append(element);
+    if (moveFocus) button.focus();
+
+    return true;
+  }
+
+  /**
+   * Removes a line from the list of removed lines.
+   * @param {string} key - The line item key.
+   */
+  #dismissUndo(key) {
+    const removed = this.#removedLines.get(key);
+
+    if (!removed) return;
+
+    const hadFocus = removed.element.contains(document.activeElement);
+
+    clearTimeout(removed.timeout);
+    removed.element.remove();
+    this.#removedLines.delete(key);
+
+    if (key === this.#focusedUndoKey) this.#focusedUndoKey = null;
+    if (hadFocus) this.#focusLine(key);
+  }
+
+  /**
+   * Adds a removed line back to the cart.
+   *
+   * While the removal is still pending, the row is restored in place. Otherwise the line is added again with its
+   * variant, quantity, properties and selling plan, and the cart decides where the new line goes.
+   *
+   * @param {string} key - The line item key.
+   */
+  async #undoRemove(key) {
+    const removed = this.#removedLines.get(key);
+
+    if (!removed) return;
+
+    const { item, nestedItems, element, button } = removed;
+    const pendingRow = this.refs.cartItemRows.find((row) => row.dataset.key === key && this.#pendingChanges.has(key));
+
+    if (pendingRow) {
+      this.#dismissUndo(key);
+      this.updateQuantity({
+        line: this.refs.cartItemRows.indexOf(pendingRow) + 1,
+        quantity: item.quantity,
+        action: 'undo',
+      });
+      this.#focusLine(key);
+      return;
+    }
+
+    button.disabled = true;
+
+    try {
+      const { sections } = await cartStore.add([item, ...nestedItems], {
+        silent: true,
+        sections: this.#sectionsToUpdate(),
+      });
+
+      clearTimeout(removed.timeout);
+      element.remove();
+      this.#removedLines.delete(key);
+      this.#focusedUndoKey = null;
+
+      this.#applySections(sections);
+      this.#focusLine(key);
+    } catch (error) {
+      button.disabled = false;
+
+      const text = element.querySelector('.cart-items__undo-text');
+
+      if (error instanceof CartError) {
+        if (text) text.textContent = error.description || error.message;
+      } else {
+        console.error(error);
+        if (text) text.textContent = Theme.translations.cart_update_error ?? '';
+      }
+    }
+  }
+
+  /**
+   * Swaps a line to another variant of its product, keeping its quantity, properties and selling plan.
+   *
+   * The new variant is added before the line is removed, so the line is kept if the variant can't be added. When the
+   * cart already has a line for the new variant with the same properties, the cart merges them into that line.
+   *
+   * @param {string} key - The line item key.
+   * @param {number | string} variantId - The id of the new variant.
+   * @param {boolean} [isPreorder] - Whether the new variant is sold as a pre-order, which sets or removes the
+   * `_preorder` property. The property is kept as it is when undefined.
+   * @returns {Promise<void>} Rejects with a CartError when the cart rejects the change.
+   */
+  async updateVariant(key, variantId, isPreorder) {
+    const line = cartStore.get().items.find((item) => item.key === key);
+
+    if (!line || String(line.variant_id) === String(variantId)) return;
+
+    const item = { ...toAddItem(line), id: variantId };
+
+    if (isPreorder !== undefined) {
+      const { _preorder, ...properties } = item.properties ?? {};
+      item.properties = isPreorder ? { ...properties, _preorder: 'true' } : properties;
+    }
+
+    /** @param {CartLine} other */
+    const isMatchingLine = (other) =>
+      other.key !== key &&
+      String(other.variant_id) === String(variantId) &&
+      JSON.stringify(other.properties ?? {}) === JSON.stringify(item.properties) &&
+      (other.selling_plan_allocation?.selling_plan.id ?? null) === (item.selling_plan ?? null);
+
+    const merged = cartStore.get().items.some(isMatchingLine);
+    const row = this.refs.cartItemRows.find((cartItemRow) => cartItemRow.dataset.key === key);
+    const { mergedMessage = '', duplicatedMessage = '' } = row?.dataset ?? {};
+
+    /** @type {CartLine | undefined} */
+    let addedLine;
+
+    try {
+      addedLine = (await cartStore.add([item], { silent: true })).items?.[0];
+    } catch (error) {
+      // The cart may still have added part of the quantity, so it's shown as it is now
+      if (error instanceof CartError) sectionRenderer.renderSection(this.sectionId, { cache: false });
+      throw error;
+    }
+
+    /** @type {CartResponse} */
+    let response;
+
+    try {
+      response = await cartStore.change({ id: key, quantity: 0 }, { silent: true, sections: this.#sectionsToUpdate() });
+    } catch (error) {
+      await this.#removeAddedVariant(addedLine, item.quantity, duplicatedMessage);
+      throw error;
+    }
 
-    const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
+    const { cart, sections } = response;
+    const newLine = cart.items.find(isMatchingLine);
 
-    if (!cartItemRowToRemove) return;
+    this.#applySections(sections);
+    if (newLine) this.#focusLine(newLine.key);
 
-    const rowsToRemove = [
-      cartItemRowToRemove,
-      // Get all nested lines of the row to remove
-      ...this.refs.cartItemRows.filter((row) => row.dataset.parentKey === cartItemRowToRemove.dataset.key),
-    ];
+    if (merged && this.refs.liveRegion) this.refs.liveRegion.textContent = mergedMessage;
+  }
+
+  /**
+   * Takes the new variant back out of the cart when the line it replaces can't be removed, so the line isn't doubled.
+   * @param {CartLine | undefined} addedLine - The line the new variant was added to.
+   * @param {number} quantity - The added quantity.
+   * @param {string} duplicatedMessage - The message shown when both variants stay in the cart.
+   * @returns {Promise<void>} Rejects with a CartError when the variant can't be taken back out.
+   */
+  async #removeAddedVariant(addedLine, quantity, duplicatedMessage) {
+    try {
+      if (!addedLine) throw new CartError(duplicatedMessage);
+
+      // The variant may have been merged into a line that was already in the cart, which keeps its own quantity
+      const { sections } = await cartStore.change(
+        { id: addedLine.key, quantity: Math.max(addedLine.quantity - quantity, 0) },
+        { silent: true, sections: this.#sectionsToUpdate() }
+      );
+
+      this.#applySections(sections);
+    } catch (error) {
+      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      throw new CartError(duplicatedMessage);
+    }
+  }
+
+  /**
+   * Changes the selling plan of a line, or makes it a one-time purchase.
+   * @param {number} line - The line item index.
+   * @param {Event} event - The change event of the selling plan select.
+   */
+  async updateSellingPlan(line, event) {
+    const row = this.refs.cartItemRows[line - 1];
+    const select = event.target;
+    const cartLine = cartStore.get().items.find((item) => item.key === row?.dataset.key);
 
-    // Add class to the row to trigger the animation
-    rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+    if (!row || !cartLine || !(select instanceof HTMLSelectElement)) return;
 
-      if (prefersReducedMotion()) return remove();
+    const previousValue = String(cartLine.selling_plan_allocation?.selling_plan.id ?? '');
 
-      row.style.setProperty('--row-height', `${row.clientHeight}px`);
-      row.classList.add('removing');
+    this.#hideLineError(row);
 
-      // Remove the row after the animation ends
-      onAnimationEnd(row, remove);
+    try {
+      const { sections } = await cartStore.change(
+        { id: cartLine.key, quantity: cartLine.quantity, selling_plan: select.value ? Number(select.value) : null },
+        { silent: true, sections: this.#sectionsToUpdate() }
+      );
+
+      // The line keeps its position, so the select keeps the focus when the section is morphed
+      this.#applySections(sections);
+    } catch (error) {
+      select.value = previousValue;
+
+      if (error instanceof CartError) {
+        this.#showLineError(row, error.description || error.message);
+      } else {
+        console.error(error);
+        this.#showLineError(row, Theme.translations.cart_update_error ?? '');
+      }
+    }
+  }
+
+  /**
+   * Moves the focus to a line, or to the first line if it's not in the cart anymore.
+   * @param {string} key - The line item key.
+   */
+  #focusLine(key) {
+    // Wait for the section to be morphed
+    queueMicrotask(() => {
+      const rows = this.refs.cartItemRows ?? [];
+      const row =
+        rows.find((row) => row.dataset.key === key && !row.classList.contains('hidden')) ??
+        rows.find((row) => !row.classList.contains('hidden'));
+      const target = row?.querySelector('.cart-items__remove') ?? this.querySelector('a[href], button:not([disabled])');
+
+      if (target instanceof HTMLElement) target.focus();
     });
   }
 
   /**
    * Updates the quantity.
+   *
+   * The change is applied to the row, the totals and the cart icon right away, and rolled back if the server
+   * rejects it. The quantities of nested lines follow the quantity of their parent.
+   *
    * @param {Object} config - The config.
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
@@ -111,100 +587,359 @@ class CartItemsComponent extends Component {
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
-    this.#disableCartItems();
-
     const { line, quantity } = config;
-    const { cartTotal } = this.refs;
+    const row = this.refs.cartItemRows[line - 1];
+    const key = row?.dataset.key;
+
+    if (!row || !key) return;
+
+    let change = this.#pendingChanges.get(key);
+
+    if (!change) {
+      change = {
+        line,
+        quantity,
+        snapshots: [row, ...this.#getNestedRows(row)].map((row) => ({
+          row,
+          quantity: Number(row.dataset.quantity),
+          linePrice: Number(row.dataset.linePrice),
+        })),
+        inFlight: false,
+        markers: [],
+      };
+      this.#pendingChanges.set(key, change);
+    }
+
+    change.quantity = quantity;
+    change.markers.push(cartPerformaceUpdateMarker);
+    this.#lineErrors.delete(key);
+    this.#hideLineError(row);
+
+    this.#applyQuantity(change, quantity);
+    cartPerformance.measureFromMarker(cartPerformaceUpdateMarker, `${config.action}:optimistic`);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
+    if (quantity > 0 && change.snapshots.length > 1) {
+      this.#announce(row.dataset.groupQuantityMessage?.replace('[quantity]', String(quantity)));
+    }
+
+    if (!change.inFlight) this.#sendChange(key);
+  }
+
+  /**
+   * Sends the latest quantity of a pending change to the server.
+   * @param {string} key - The line item key.
+   */
+  async #sendChange(key) {
+    const change = this.#pendingChanges.get(key);
+
+    if (!change) return;
+
+    const { quantity } = change;
+    const markers = change.markers.splice(0);
+    const [snapshot, ...nestedSnapshots] = change.snapshots;
+    const options = { silent: true, sections: this.#sectionsToUpdate() };
+
+    change.inFlight = true;
+
+    try {
+      // Nested lines are removed along with their parent, but a new quantity has to be sent for each of them
+      const { cart, sections } =
+        snapshot && nestedSnapshots.length && quantity > 0
+          ? await cartStore.update(
+              {
+                updates: Object.fromEntries([
+                  [key, quantity],
+                  ...nestedSnapshots.map((nested) => [
+                    nested.row.dataset.key,
+                    getNestedQuantity(snapshot, nested, quantity),
+                  ]),
+                ]),
+              },
+              options
+            )
+          : await cartStore.change({ id: key, quantity }, options);
+
+      this.#confirmedSections = sections;
+
+      if (change.quantity === quantity) {
+        this.#pendingChanges.delete(key);
+        this.#confirmSaveForLater(key, quantity);
+        return;
       }
-    });
 
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+      // The line was changed again while the request was in flight, the confirmed state becomes the new snapshot
+      for (const snapshot of change.snapshots) {
+        const item = cart.items.find((item) => item.key === snapshot.row.dataset.key);
 
-    cartTotal?.shimmer();
+        snapshot.quantity = item?.quantity ?? 0;
+        snapshot.linePrice = item?.final_line_price ?? 0;
+      }
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
-        resetShimmer(this);
-
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
-        }
-
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
-
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
-
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
-
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
-      })
-      .catch((error) => {
+      change.inFlight = false;
+      this.#sendChange(key);
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#rollback(key, this.#quantityRuleMessage(key, quantity) || error.description || error.message);
+      } else {
         console.error(error);
+        this.#rollback(key, Theme.translations.cart_update_error ?? '');
+      }
+    } finally {
+      markers.forEach((marker) => cartPerformance.measureFromMarker(marker));
+      this.#settle();
+    }
+  }
+
+  /**
+   * Gets the message of the quantity rule a rejected quantity breaks, to explain it instead of the cart's message.
+   * @param {string} key - The line item key.
+   * @param {number} quantity - The rejected quantity.
+   * @returns {string | undefined} The message, if the quantity breaks a rule.
+   */
+  #quantityRuleMessage(key, quantity) {
+    const row = this.refs.cartItemRows.find((row) => row.dataset.key === key);
+    const quantitySelector = /** @type {QuantitySelectorComponent | null | undefined} */ (
+      row?.querySelector('quantity-selector-component')
+    );
+
+    return quantitySelector?.validate(quantity)?.message;
+  }
+
+  /**
+   * Restores a line and its nested lines to their confirmed state.
+   * @param {string} key - The line item key.
+   * @param {string} message - The error message to show on the line.
+   */
+  #rollback(key, message) {
+    const change = this.#pendingChanges.get(key);
+
+    if (!change) return;
+
+    this.#pendingChanges.delete(key);
+    this.#linesSavedForLater.delete(key);
+    this.#lineErrors.set(key, message);
+    this.#dismissUndo(key);
+
+    for (const { row, quantity, linePrice } of change.snapshots) {
+      this.#renderLine(row, quantity, linePrice);
+    }
+  }
+
+  /**
+   * Applies the confirmed cart to the sections once no change is pending anymore.
+   */
+  #settle() {
+    if (this.#pendingChanges.size > 0) return;
+
+    const sections = this.#confirmedSections;
+    this.#confirmedSections = null;
+
+    if (sections) this.#applySections(sections);
+
+    for (const [key, message] of this.#lineErrors) {
+      const row = this.refs.cartItemRows.find((row) => row.dataset.key === key);
+      if (row) this.#showLineError(row, message);
+    }
+
+    this.#lineErrors.clear();
+  }
+
+  /**
+   * Notifies the other cart components of the confirmed cart and morphs the section.
+   * @param {Record<string, string>} sections - The sections rendered with the confirmed cart.
+   */
+  #applySections(sections) {
+    const cart = cartStore.get();
+
+    cartStore.publish();
+    this.dispatchEvent(
+      new CartUpdateEvent(cart, this.sectionId, {
+        itemCount: cart.item_count,
+        source: 'cart-items-component',
+        sections,
       })
-      .finally(() => {
-        this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
-      });
+    );
+
+    const sectionHTML = sections[this.sectionId];
+    if (sectionHTML) morphSection(this.sectionId, sectionHTML);
   }
 
   /**
-   * Handles the discount update.
-   * @param {DiscountUpdateEvent} event - The event.
+   * Applies a quantity to a line and its nested lines, estimating the line prices from their confirmed unit prices.
+   * @param {PendingLineChange} change - The change.
+   * @param {number} quantity - The new quantity.
    */
-  handleDiscountUpdate = (event) => {
-    this.#handleCartUpdate(event);
-  };
+  #applyQuantity(change, quantity) {
+    const [snapshot, ...nestedSnapshots] = change.snapshots;
+
+    if (!snapshot) return;
+
+    this.#renderLine(snapshot.row, quantity, getLinePrice(snapshot, quantity));
+
+    for (const nested of nestedSnapshots) {
+      const nestedQuantity = getNestedQuantity(snapshot, nested, quantity);
+
+      this.#renderLine(nested.row, nestedQuantity, getLinePrice(nested, nestedQuantity));
+    }
+  }
 
   /**
-   * Handles the cart error.
-   * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * Renders the quantity and price of a line, and updates the cart totals by the difference.
+   * @param {HTMLElement} row - The cart item row.
+   * @param {number} quantity - The quantity of the line.
+   * @param {number} linePrice - The line price, in cents.
    */
-  #handleCartError = (line, parsedResponseText) => {
-    const quantitySelector = this.refs.quantitySelectors[line - 1];
-    const quantityInput = quantitySelector?.querySelector('input');
+  #renderLine(row, quantity, linePrice) {
+    const previousQuantity = Number(row.dataset.quantity);
+    const previousLinePrice = Number(row.dataset.linePrice);
+
+    row.dataset.quantity = String(quantity);
+    row.dataset.linePrice = String(linePrice);
 
-    if (!quantityInput) throw new Error('Quantity input not found');
+    const quantityInput = row.querySelector('quantity-selector-component input');
+    if (quantityInput instanceof HTMLInputElement && quantity > 0) quantityInput.value = String(quantity);
 
-    quantityInput.value = quantityInput.defaultValue;
+    const price = /** @type {TextComponent | null} */ (row.querySelector('.cart-items__price text-component'));
+    if (price) this.#renderPrice(price, linePrice);
 
-    const cartItemError = this.refs[`cartItemError-${line}`];
-    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+    if (quantity === 0) {
+      this.#collapseRow(row);
+    } else {
+      row.classList.remove('removing', 'hidden');
+    }
+
+    const groupRow = row.dataset.parentKey
+      ? this.refs.cartItemRows.find((parentRow) => parentRow.dataset.key === row.dataset.parentKey)
+      : row;
+    if (groupRow) this.#renderGroupTotal(groupRow);
+
+    this.#updateTotals(linePrice - previousLinePrice, quantity - previousQuantity);
+  }
+
+  /**
+   * Renders the total price of a line and its nested lines.
+   * @param {HTMLElement} row - The cart item row.
+   */
+  #renderGroupTotal(row) {
+    const total = /** @type {TextComponent | null} */ (row.querySelector('.cart-items__group-total text-component'));
+
+    if (!total) return;
+
+    const totalPrice = [row, ...this.#getNestedRows(row)].reduce(
+      (sum, groupRow) => sum + Number(groupRow.dataset.linePrice),
+      0
+    );
+
+    this.#renderPrice(total, totalPrice);
+  }
+
+  /**
+   * Updates the cart total, the item count and the cart icon bubbles by the given differences.
+   * @param {number} priceDifference - The difference in the cart total, in cents.
+   * @param {number} countDifference - The difference in the cart item count.
+   */
+  #updateTotals(priceDifference, countDifference) {
+    const { cartTotal, cartItemCount, cartBubbleCount } = this.refs;
+
+    if (priceDifference !== 0 && cartTotal?.dataset.totalPrice) {
+      const totalPrice = Number(cartTotal.dataset.totalPrice) + priceDifference;
+
+      cartTotal.dataset.totalPrice = String(totalPrice);
+      this.#renderPrice(cartTotal, totalPrice);
+    }
+
+    if (countDifference === 0 || !cartItemCount) return;
+
+    const itemCount = Math.max(0, parseInt(cartItemCount.textContent ?? '0', 10) + countDifference);
+
+    cartItemCount.textContent = String(itemCount);
+    if (cartBubbleCount) cartBubbleCount.textContent = String(itemCount);
+
+    for (const cartIcon of document.querySelectorAll('cart-icon')) {
+      /** @type {CartIcon} */ (cartIcon).renderCartBubble(itemCount, false);
+    }
+  }
+
+  /**
+   * Renders a price in a text component.
+   * @param {TextComponent} textComponent - The text component.
+   * @param {number} cents - The price, in cents.
+   */
+  #renderPrice(textComponent, cents) {
+    const price = formatCents(cents, { withCurrency: textComponent.hasAttribute('data-with-currency') });
+
+    textComponent.textContent = price;
+    textComponent.setAttribute('value', price);
+  }
+
+  /**
+   * Collapses a removed row. The row is only hidden so it can be restored if the removal is rejected.
+   * @param {HTMLElement} row - The cart item row.
+   */
+  #collapseRow(row) {
+    const hide = () => {
+      if (row.dataset.quantity !== '0') return;
+
+      row.classList.remove('removing');
+      row.classList.add('hidden');
+    };
+
+    if (prefersReducedMotion()) return hide();
+
+    row.style.setProperty('--row-height', `${row.clientHeight}px`);
+    row.classList.add('removing');
+
+    // Hide the row after the animation ends
+    onAnimationEnd(row, hide);
+  }
+
+  /**
+   * Shows an error message on a line.
+   * @param {HTMLElement} row - The cart item row.
+   * @param {string} message - The error message.
+   */
+  #showLineError(row, message) {
+    const cartItemErrorContainer = row.querySelector('.cart-items__error');
+    const cartItemError = row.querySelector('.cart-item__error-text');
 
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = message;
     cartItemErrorContainer.classList.remove('hidden');
+  }
+
+  /**
+   * Hides the error message of a line.
+   * @param {HTMLElement} row - The cart item row.
+   */
+  #hideLineError(row) {
+    row.querySelector('.cart-items__error')?.classList.add('hidden');
+  }
+
+  /**
+   * Gets the nested lines of a line.
+   * @param {HTMLElement} row - The cart item row.
+   * @returns {HTMLElement[]} The nested rows.
+   */
+  #getNestedRows(row) {
+    return this.refs.cartItemRows.filter((nestedRow) => nestedRow.dataset.parentKey === row.dataset.key);
+  }
+
+  /**
+   * Gets the ids of the sections rendering cart items.
+   * @returns {string[]} The section ids.
+   */
+  #sectionsToUpdate() {
+    return Array.from(new Set([this.sectionId, ...getCartItemsSectionIds()]));
+  }
+
+  /**
+   * Handles the discount update.
+   * @param {DiscountUpdateEvent} event - The event.
+   */
+  handleDiscountUpdate = (event) => {
+    this.#handleCartUpdate(event);
   };
 
   /**
@@ -227,20 +962,6 @@ class CartItemsComponent extends Component {
     }
   };
 
-  /**
-   * Disables the cart items.
-   */
-  #disableCartItems() {
-    this.classList.add('cart-items-disabled');
-  }
-
-  /**
-   * Enables the cart items.
-   */
-  #enableCartItems() {
-    this.classList.remove('cart-items-disabled');
-  }
-
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -254,6 +975,46 @@ class CartItemsComponent extends Component {
   }
 }
 
+/**
+ * Gets the item to add a cart line again, with its variant, quantity, properties and selling plan.
+ * @param {CartLine} line - The cart line.
+ * @returns {CartAddItem} The item.
+ */
+function toAddItem(line) {
+  /** @type {CartAddItem} */
+  const item = { id: line.variant_id, quantity: line.quantity, properties: line.properties ?? {} };
+  if (line.selling_plan_allocation) item.selling_plan = line.selling_plan_allocation.selling_plan.id;
+
+  return item;
+}
+
+/**
+ * Estimates the price of a line at a new quantity from its confirmed unit price.
+ * @param {LineSnapshot} snapshot - The confirmed state of the line.
+ * @param {number} quantity - The new quantity.
+ * @returns {number} The line price, in cents.
+ */
+function getLinePrice(snapshot, quantity) {
+  const unitPrice = snapshot.quantity > 0 ? snapshot.linePrice / snapshot.quantity : 0;
+
+  return Math.round(unitPrice * quantity);
+}
+
+/**
+ * Gets the quantity of a nested line once its parent changes, keeping the confirmed ratio between them.
+ * @param {LineSnapshot} parent - The confirmed state of the parent line.
+ * @param {LineSnapshot} nested - The confirmed state of the nested line.
+ * @param {number} quantity - The new quantity of the parent line.
+ * @returns {number} The quantity of the nested line.
+ */
+function getNestedQuantity(parent, nested, quantity) {
+  // Nested lines are removed along with their parent
+  if (quantity === 0) return 0;
+  if (parent.quantity === 0) return nested.quantity;
+
+  return Math.max(1, Math.round((nested.quantity * quantity) / parent.quantity));
+}
+
 if (!customElements.get('cart-items-component')) {
   customElements.define('cart-items-component', CartItemsComponent);
 }
@@ -1,15 +1,60 @@
 import { Component } from '@theme/component';
-import { QuantitySelectorUpdateEvent } from '@theme/events';
+import { QuantitySelectorUpdateEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { morph } from '@theme/morph';
+
+/**
+ * The quantity rules of a variant, capped by its inventory when it can't be sold out of stock.
+ *
+ * @typedef {object} QuantityRules
+ * @property {number} min - The minimum quantity.
+ * @property {number | null} max - The maximum quantity, if any.
+ * @property {number} increment - The quantity must be a multiple of the increment.
+ * @property {number | null} inventory - The inventory available, if it caps the quantity.
+ */
+
+/**
+ * A quantity that breaks a rule, with the closest valid quantity.
+ *
+ * @typedef {object} QuantityViolation
+ * @property {number} quantity - The closest valid quantity.
+ * @property {string} message - The message explaining the rule.
+ */
 
 /**
  * A custom element that allows the user to select a quantity.
  *
+ * Steps follow the quantity increment of the variant, and typed values are snapped to the variant's quantity rules
+ * and inventory with a message explaining the rule.
+ *
  * @typedef {Object} Refs
  * @property {HTMLInputElement} quantityInput
+ * @property {HTMLButtonElement[]} quantityButtons
  *
  * @extends {Component<Refs>}
  */
-class QuantitySelectorComponent extends Component {
+export class QuantitySelectorComponent extends Component {
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Cart lines are re-rendered with their variant, the other selectors follow the selected variant
+    if (!this.isCartLine) {
+      this.#abortController = new AbortController();
+      this.closest('.shopify-section, dialog')?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+        signal: this.#abortController.signal,
+      });
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
   /**
    * Handles the quantity increase event.
    * @param {Event} event - The event.
@@ -18,8 +63,11 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepUp();
-    this.#onQuantityChange();
+
+    const { min, increment } = this.rules;
+    const quantity = this.#currentQuantity();
+
+    this.#applyQuantity(quantity < min ? min : quantity + increment);
   }
 
   /**
@@ -30,8 +78,12 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    this.refs.quantityInput.stepDown();
-    this.#onQuantityChange();
+
+    const { min, increment } = this.rules;
+    const quantity = this.#currentQuantity() - increment;
+
+    // Going below the minimum of a cart line removes it
+    this.#applyQuantity(quantity < min && this.isCartLine ? 0 : Math.max(quantity, min));
   }
 
   /**
@@ -53,46 +105,189 @@ class QuantitySelectorComponent extends Component {
     if (!(event.target instanceof HTMLElement)) return;
 
     event.preventDefault();
-    if (event.target instanceof HTMLInputElement) {
-      this.refs.quantityInput.value = event.target.value;
+
+    const value = event.target instanceof HTMLInputElement ? event.target.value : this.refs.quantityInput.value;
+    const quantity = parseInt(value);
+
+    this.#applyQuantity(isNaN(quantity) ? this.rules.min : quantity);
+  }
+
+  /**
+   * Checks a quantity against the quantity rules and the inventory.
+   * Outside of the cart, the quantity of the variant already in the cart counts towards the maximum.
+   *
+   * @param {number} quantity - The quantity.
+   * @returns {QuantityViolation | null} The violated rule, or null if the quantity is valid.
+   */
+  validate(quantity) {
+    const { min, max, increment, inventory } = this.rules;
+    const translations = Theme.translations;
+
+    if (quantity === 0 && this.isCartLine) return null;
+
+    if (quantity < min) {
+      return { quantity: min, message: (translations.quantity_error_min ?? '').replace('[quantity]', String(min)) };
+    }
+
+    const inCart = this.isCartLine ? 0 : this.#inCartQuantity();
+    const caps = [max, inventory].filter((cap) => cap !== null).map((cap) => Number(cap));
+
+    if (caps.length > 0) {
+      const cap = Math.min(...caps);
+      const available = Math.max(0, Math.floor((cap - inCart) / increment) * increment);
+
+      if (quantity > available) {
+        let message = translations.quantity_error_max ?? '';
+
+        if (inCart > 0) {
+          message = (translations.quantity_error_in_cart ?? '').replace('[in_cart]', String(inCart));
+        } else if (cap === inventory && (max === null || inventory < max)) {
+          message = translations.quantity_error_inventory ?? '';
+        }
+
+        return {
+          quantity: Math.max(available, this.isCartLine ? 0 : min),
+          message: message.replace('[quantity]', String(inCart > 0 ? available : cap)),
+        };
+      }
     }
-    this.#onQuantityChange();
+
+    if (quantity % increment !== 0) {
+      return {
+        quantity: Math.max(min, Math.round(quantity / increment) * increment),
+        message: (translations.quantity_error_increment ?? '').replace('[quantity]', String(increment)),
+      };
+    }
+
+    return null;
   }
 
   /**
-   * Handles the quantity change event.
+   * Shows a message next to the input, or hides it.
+   * @param {string} [message] - The message.
    */
-  #onQuantityChange() {
+  showMessage(message = '') {
+    const messageElement = this.#rulesElement?.querySelector('.quantity-selector__error');
+
+    if (!messageElement) return;
+
+    messageElement.textContent = message;
+    messageElement.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Gets the quantity rules of the variant.
+   * @returns {QuantityRules} The quantity rules.
+   */
+  get rules() {
+    const { min, max, increment, inventory } = this.dataset;
+
+    return {
+      min: Number(min) || 1,
+      max: max ? Number(max) : null,
+      increment: Number(increment) || 1,
+      inventory: inventory ? Number(inventory) : null,
+    };
+  }
+
+  /**
+   * Whether the selector changes the quantity of a cart line.
+   * @returns {boolean}
+   */
+  get isCartLine() {
+    return !!this.refs.quantityInput?.dataset.cartLine;
+  }
+
+  /**
+   * Applies a quantity, snapped to the quantity rules, and notifies the listeners.
+   * @param {number} quantity - The requested quantity.
+   */
+  #applyQuantity(quantity) {
     const { quantityInput } = this.refs;
+    const violation = this.validate(quantity);
+    const newValue = violation ? violation.quantity : quantity;
 
-    this.#checkQuantityRules();
-    const newValue = parseInt(quantityInput.value);
+    quantityInput.value = String(newValue);
+    this.showMessage(violation?.message);
 
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
   /**
-   * Checks the quantity rules are met
+   * Gets the current quantity of the input.
+   * @returns {number} The quantity.
    */
-  #checkQuantityRules = () => {
-    const { quantityInput } = this.refs;
-    const { min, max, value: newValue } = quantityInput;
+  #currentQuantity() {
+    const quantity = parseInt(this.refs.quantityInput.value);
 
-    if (newValue < min && min) quantityInput.value = min;
-    if (newValue > max && max) quantityInput.value = max;
-  };
+    return isNaN(quantity) ? 0 : quantity;
+  }
 
   /**
-   * Gets the quantity input.
-   * @returns {HTMLInputElement} The quantity input.
+   * Gets the quantity of the variant already in the cart.
+   * @returns {number} The quantity.
    */
-  get quantityInput() {
-    if (!this.refs.quantityInput) {
-      throw new Error('Missing <input ref="quantityInput" /> inside <quantity-selector-component />');
-    }
+  #inCartQuantity() {
+    const { variantId } = this.dataset;
 
-    return this.refs.quantityInput;
+    return cartStore
+      .get()
+      .items.filter((item) => String(item.variant_id) === variantId)
+      .reduce((total, item) => total + item.quantity, 0);
   }
+
+  /**
+   * Gets the element listing the quantity rules, described by the input.
+   * @returns {HTMLElement | null} The rules element.
+   */
+  get #rulesElement() {
+    const id = this.refs.quantityInput?.getAttribute('aria-describedby');
+
+    return id ? document.getElementById(id) : null;
+  }
+
+  /**
+   * Applies the quantity rules of the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const { html } = event.detail.data;
+    const newSelector = html.getElementById(this.id);
+    const newInput = newSelector?.querySelector('input');
+    const newRules = this.#rulesElement && html.getElementById(this.#rulesElement.id);
+    const { quantityInput } = this.refs;
+
+    if (!(newSelector instanceof HTMLElement) || !newInput) return;
+
+    for (const attribute of ['variantId', 'min', 'max', 'increment', 'inventory']) {
+      this.dataset[attribute] = newSelector.dataset[attribute] ?? '';
+    }
+
+    for (const attribute of ['min', 'max', 'step']) {
+      const value = newInput.getAttribute(attribute);
+
+      if (value === null) {
+        quantityInput.removeAttribute(attribute);
+      } else {
+        quantityInput.setAttribute(attribute, value);
+      }
+    }
+
+    if (this.#rulesElement && newRules) morph(this.#rulesElement, newRules);
+
+    const violation = this.validate(this.#currentQuantity());
+
+    if (violation) {
+      quantityInput.value = String(violation.quantity);
+      this.showMessage(violation.message);
+    }
+  };
 }
 
 if (!customElements.get('quantity-selector-component')) {
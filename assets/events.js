@@ -10,6 +10,10 @@ export class ThemeEvents {
   static variantSelected = 'variant:selected';
   /** @static @constant {string} Event triggered when a variant is changed */
   static variantUpdate = 'variant:update';
+  /** @static @constant {string} Event triggered when a purchase option (one-time or selling plan) is selected */
+  static sellingPlanSelected = 'selling-plan:selected';
+  /** @static @constant {string} Event triggered when the value of a product custom property changes */
+  static customPropertyChange = 'custom-property:change';
   /** @static @constant {string} Event triggered when the cart items or quantities are updated */
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
@@ -37,11 +41,66 @@ export class VariantSelectedEvent extends Event {
    * Creates a new VariantSelectedEvent
    * @param {Object} resource - The new variant object
    * @param {string} resource.id - The id of the variant
+   * @param {Object} [data] - Additional event data
+   * @param {string} [data.productId] - The product ID of the variant picker
+   * @param {{ id: number, available: boolean, preorder?: boolean } | null} [data.variant] - The variant resolved by the
+   * variant picker, null when the selected values don't match a variant, undefined when the variant is only known once
+   * the section is fetched
    */
-  constructor(resource) {
+  constructor(resource, data = {}) {
     super(ThemeEvents.variantSelected, { bubbles: true });
     this.detail = {
       resource,
+      data: {
+        productId: data.productId,
+        variant: data.variant,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when a purchase option is selected
+ * @extends {Event}
+ */
+export class SellingPlanSelectedEvent extends Event {
+  /**
+   * Creates a new SellingPlanSelectedEvent
+   * @param {{ id: string } | null} resource - The selected selling plan, null for a one-time purchase
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the purchase options, used to ensure the correct product form is updated
+   */
+  constructor(resource, data) {
+    super(ThemeEvents.sellingPlanSelected, { bubbles: true });
+    this.detail = {
+      resource,
+      data: {
+        productId: data.productId,
+      },
+    };
+  }
+}
+
+/**
+ * Event fired when the value of a product custom property changes
+ * @extends {Event}
+ */
+export class CustomPropertyChangeEvent extends Event {
+  /**
+   * Creates a new CustomPropertyChangeEvent
+   * @param {Object} resource - The custom property
+   * @param {string} resource.key - The name of the line item property
+   * @param {string} resource.value - The value of the property, empty when the field has no value or is hidden
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID of the custom property
+   */
+  constructor(resource, data) {
+    super(ThemeEvents.customPropertyChange, { bubbles: true });
+    this.detail = {
+      resource,
+      data: {
+        productId: data.productId,
+      },
     };
   }
 }
@@ -98,6 +157,7 @@ export class CartAddEvent extends Event {
    * @param {string} [data.productId] - The id of the product card that was updated
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
+   * @param {import('./cart').CartLine[]} [data.items] - The lines that were added
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
    */
   constructor(resource, sourceId, data) {
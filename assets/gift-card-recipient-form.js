@@ -1,5 +1,6 @@
 import { Component } from '@theme/component';
-import { ThemeEvents, CartErrorEvent, CartAddEvent } from '@theme/events';
+import { ThemeEvents, CartErrorEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
 
 /**
  * @typedef {Object} GiftCardRecipientFormRefs
@@ -37,7 +38,7 @@ class GiftCardRecipientForm extends Component {
   /** @type {((event: Event) => void) | null} */
   #displayCartErrorBound = null;
   /** @type {(() => void) | null} */
-  #cartAddEventBound = null;
+  #unsubscribeFromCart = null;
 
   requiredRefs = [
     'myEmailButton',
@@ -68,8 +69,7 @@ class GiftCardRecipientForm extends Component {
     // @ts-ignore - #displayCartErrorBound is guaranteed to be non-null here
     document.addEventListener(ThemeEvents.cartError, this.#displayCartErrorBound);
 
-    this.#cartAddEventBound = () => this.#handleCartAdd();
-    document.addEventListener(ThemeEvents.cartUpdate, this.#cartAddEventBound);
+    this.#unsubscribeFromCart = cartStore.subscribe(() => this.#handleCartAdd());
   }
 
   disconnectedCallback() {
@@ -85,9 +85,9 @@ class GiftCardRecipientForm extends Component {
       this.#displayCartErrorBound = null;
     }
 
-    if (this.#cartAddEventBound) {
-      document.removeEventListener(ThemeEvents.cartUpdate, this.#cartAddEventBound);
-      this.#cartAddEventBound = null;
+    if (this.#unsubscribeFromCart) {
+      this.#unsubscribeFromCart();
+      this.#unsubscribeFromCart = null;
     }
   }
 
@@ -26,6 +26,9 @@ declare global {
       cart_change_url: string;
       cart_update_url: string;
       cart_url: string;
+      root_url: string;
+      cart_prepare_shipping_rates_url: string;
+      cart_async_shipping_rates_url: string;
       predictive_search_url: string;
       search_url: string;
     };
@@ -37,6 +40,15 @@ declare global {
     template: {
       name: string;
     };
+    money: {
+      format: string;
+      format_with_currency: string;
+      currency: string;
+    };
+    recently_viewed: {
+      max_products: number;
+      expiry_days: number;
+    };
   }
 
   interface Window {
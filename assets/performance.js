@@ -33,10 +33,13 @@ class ThemePerformance {
 
   /**
    * @param {PerformanceMark} startMarker
+   * @param {string} [benchmarkName] - Measures under another name than the marker's, e.g. for intermediate steps
    * @returns {void}
    */
-  measureFromMarker(startMarker) {
-    const metricName = startMarker.name.replace(/:start$/, '');
+  measureFromMarker(startMarker, benchmarkName) {
+    const metricName = benchmarkName
+      ? `${this.metricPrefix}:${benchmarkName}`
+      : startMarker.name.replace(/:start$/, '');
     const endMarker = performance.mark(`${metricName}:end`);
 
     performance.measure(metricName, startMarker.name, endMarker.name);
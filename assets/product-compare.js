@@ -0,0 +1,212 @@
+import { Component } from '@theme/component';
+
+/**
+ * A product selected for comparison, with what the compare tray needs to show it.
+ *
+ * @typedef {object} CompareItem
+ * @property {number} productId - The product id
+ * @property {string} title - The product title
+ * @property {string | null} image - The image URL
+ */
+
+/**
+ * @typedef {(items: CompareItem[]) => void} CompareSubscriber
+ */
+
+/**
+ * The maximum number of products that can be compared.
+ */
+export const MAX_COMPARE_ITEMS = 4;
+
+/**
+ * The storage key of the selected products.
+ */
+const STORAGE_KEY = 'theme:compare';
+
+/**
+ * The products selected for comparison, kept in session storage so the selection follows the shopper from page to
+ * page until they close the tab.
+ */
+class CompareStore {
+  /** @type {CompareItem[]} */
+  #items = readItems();
+
+  /** @type {Set<CompareSubscriber>} */
+  #subscribers = new Set();
+
+  /**
+   * Gets the selected products, in the order they were selected.
+   * @returns {CompareItem[]} The selected products
+   */
+  get() {
+    return this.#items;
+  }
+
+  /**
+   * Checks whether a product is selected.
+   * @param {number} productId - The product id
+   * @returns {boolean} Whether the product is selected
+   */
+  has(productId) {
+    return this.#items.some((item) => item.productId === productId);
+  }
+
+  /**
+   * Checks whether no more products can be selected.
+   * @returns {boolean} Whether the selection is full
+   */
+  isFull() {
+    return this.#items.length >= MAX_COMPARE_ITEMS;
+  }
+
+  /**
+   * Subscribes to changes of the selection.
+   * @param {CompareSubscriber} callback - Called with the selected products every time they change
+   * @returns {() => void} A function to unsubscribe
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Selects a product.
+   * @param {CompareItem} item - The product
+   * @returns {boolean} Whether the product is selected, false when the selection is full
+   */
+  add(item) {
+    if (this.has(item.productId)) return true;
+    if (this.isFull()) return false;
+
+    this.#write([...this.#items, item]);
+    return true;
+  }
+
+  /**
+   * Deselects a product.
+   * @param {number} productId - The product id
+   */
+  remove(productId) {
+    this.#write(this.#items.filter((item) => item.productId !== productId));
+  }
+
+  /**
+   * Deselects all the products.
+   */
+  clear() {
+    this.#write([]);
+  }
+
+  /**
+   * Stores the selection and notifies subscribers.
+   * @param {CompareItem[]} items - The selected products
+   */
+  #write(items) {
+    this.#items = items;
+
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage may be unavailable, the selection is kept for this page
+    }
+
+    for (const callback of this.#subscribers) {
+      callback(items);
+    }
+  }
+}
+
+/**
+ * Reads the selected products from session storage.
+ * @returns {CompareItem[]} The selected products
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(sessionStorage.getItem(STORAGE_KEY) ?? '[]');
+
+    return Array.isArray(items) ? items.slice(0, MAX_COMPARE_ITEMS) : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+export const compareStore = new CompareStore();
+
+/**
+ * A custom element with a checkbox that selects a product for comparison.
+ *
+ * The checkbox reflects the selection wherever the card is rendered, including cards loaded by the paginated list
+ * and cards morphed by the filters.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} checkbox - The checkbox.
+ *
+ * @extends {Component<Refs>}
+ */
+class CompareToggle extends Component {
+  requiredRefs = ['checkbox'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = compareStore.subscribe(this.#update);
+    this.#update();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Selects the product, or deselects it.
+   */
+  toggle() {
+    const { checkbox } = this.refs;
+    const productId = Number(this.dataset.productId);
+
+    checkbox.setCustomValidity('');
+
+    if (!checkbox.checked) {
+      compareStore.remove(productId);
+      return;
+    }
+
+    const added = compareStore.add({
+      productId,
+      title: this.dataset.title ?? '',
+      image: this.dataset.image || null,
+    });
+
+    if (!added) {
+      checkbox.checked = false;
+      checkbox.setCustomValidity(this.dataset.limitMessage ?? '');
+      checkbox.reportValidity();
+    }
+  }
+
+  /**
+   * Shows whether the product is selected.
+   */
+  #update = () => {
+    const { checkbox } = this.refs;
+
+    checkbox.checked = compareStore.has(Number(this.dataset.productId));
+    checkbox.setCustomValidity('');
+  };
+}
+
+if (!customElements.get('compare-toggle')) {
+  customElements.define('compare-toggle', CompareToggle);
+}
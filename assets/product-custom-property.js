@@ -1,23 +1,157 @@
 // assets/product-custom-property.js
 import { Component } from '@theme/component';
+import { CustomPropertyChangeEvent, ThemeEvents } from '@theme/events';
 
 /**
  * @typedef {object} ProductCustomPropertyRefs
- * @property {HTMLInputElement | HTMLTextAreaElement} textInput - The text input.
- * @property {HTMLElement} characterCount - The character count element.
+ * @property {HTMLInputElement | HTMLTextAreaElement} [textInput] - The text input.
+ * @property {HTMLElement} [characterCount] - The character count element.
+ * @property {HTMLElement} error - The error message.
  */
 
 /**
- * A custom element that manages product custom properties
+ * The price add-on of a custom property, a variant added to the cart along with the product.
+ *
+ * @typedef {object} CustomPropertyAddon
+ * @property {string} variantId - The variant id of the add-on
+ * @property {number} price - The price of the add-on, in cents
+ */
+
+/**
+ * A custom element that manages a product custom property, a personalization field mapped to a line item property.
+ *
+ * A field can depend on another field of the section: it's only shown while that field has a value, or a given
+ * value. Hidden fields are disabled, so they aren't validated nor sent with the form. A field with a price add-on
+ * adds the add-on to the cart along with the product while it has a value.
+ *
  * @extends Component<ProductCustomPropertyRefs>
  */
-class ProductCustomProperty extends Component {
+export class ProductCustomProperty extends Component {
+  requiredRefs = ['error'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+
+    const container = this.closest('.shopify-section, dialog');
+    container?.addEventListener(ThemeEvents.customPropertyChange, this.#onCustomPropertyChange, {
+      signal: this.#abortController.signal,
+    });
+
+    const { conditionKey } = this.dataset;
+
+    // The fields defined later in the page notify their dependents once they're connected
+    if (conditionKey) {
+      const field = container?.querySelector(
+        `product-custom-property-component[data-property-key="${CSS.escape(conditionKey)}"]`
+      );
+
+      this.#setVisible(field instanceof ProductCustomProperty && this.#matchesCondition(field.value));
+    }
+
+    this.#updateCharacterCount();
+    this.#dispatchChange();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
   handleInput() {
     this.#updateCharacterCount();
+
+    // The error is updated while the shopper fixes the value
+    if (!this.refs.error.classList.contains('hidden')) this.validate();
+
+    this.#dispatchChange();
+  }
+
+  /**
+   * The value of the property, empty when the field has no value or is hidden.
+   * @returns {string}
+   */
+  get value() {
+    if (this.#isHidden) return '';
+
+    const input = this.#inputs.find((input) => !(input instanceof HTMLInputElement) || isChecked(input));
+
+    return input?.value.trim() ?? '';
+  }
+
+  /**
+   * The price add-on of the field, only while it has a value.
+   * @returns {CustomPropertyAddon | null}
+   */
+  get addon() {
+    const { addonVariantId, addonPrice } = this.dataset;
+
+    if (!addonVariantId || !this.value) return null;
+
+    return { variantId: addonVariantId, price: Number(addonPrice) || 0 };
+  }
+
+  /**
+   * Checks the value of the field and shows an error message when it's not valid.
+   * @returns {boolean} Whether the value is valid.
+   */
+  validate() {
+    if (this.#isHidden) {
+      this.#showError();
+      return true;
+    }
+
+    // Whitespace alone doesn't fill a required field
+    for (const input of this.#inputs) {
+      if (input instanceof HTMLTextAreaElement || input.type === 'text') input.value = input.value.trim();
+    }
+
+    const invalidInput = this.#inputs.find((input) => !input.validity.valid);
+
+    this.#showError(invalidInput ? this.#getErrorMessage(invalidInput.validity) : '');
+
+    return !invalidInput;
+  }
+
+  /**
+   * Moves the focus to the input of the field, or to the selected option of a group of options.
+   */
+  focusInput() {
+    const inputs = this.#inputs;
+    const input = inputs.find((input) => input instanceof HTMLInputElement && input.type === 'radio' && input.checked);
+
+    (input ?? inputs[0])?.focus();
+  }
+
+  /**
+   * Whether the field is hidden, as the field it depends on doesn't match the condition.
+   * @returns {boolean}
+   */
+  get #isHidden() {
+    return this.classList.contains('hidden');
+  }
+
+  /**
+   * The inputs of the field.
+   * @returns {(HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement)[]}
+   */
+  get #inputs() {
+    return Array.from(this.querySelectorAll('input, textarea, select')).filter(
+      (input) =>
+        input instanceof HTMLInputElement || input instanceof HTMLTextAreaElement || input instanceof HTMLSelectElement
+    );
   }
 
   #updateCharacterCount() {
     const { characterCount, textInput } = this.refs;
+
+    if (!characterCount || !textInput) return;
+
     const currentLength = textInput.value.length;
     const maxLength = textInput.maxLength;
 
@@ -28,6 +162,106 @@ class ProductCustomProperty extends Component {
 
     characterCount.textContent = updatedText;
   }
+
+  /**
+   * Shows or hides the field, hidden fields are disabled so they aren't sent with the form.
+   * @param {boolean} visible - Whether the field is visible.
+   * @returns {boolean} Whether the visibility changed.
+   */
+  #setVisible(visible) {
+    if (this.#isHidden === !visible) return false;
+
+    this.classList.toggle('hidden', !visible);
+
+    for (const input of this.#inputs) input.disabled = !visible;
+
+    if (!visible) this.#showError();
+
+    return true;
+  }
+
+  /**
+   * Checks the value of the field this field depends on against the condition.
+   * @param {string} value - The value of the field.
+   * @returns {boolean} Whether the field is shown.
+   */
+  #matchesCondition(value) {
+    const conditionValue = this.dataset.conditionValue?.trim().toLowerCase();
+
+    return conditionValue ? value.toLowerCase() === conditionValue : value !== '';
+  }
+
+  /**
+   * Notifies the dependent fields, the product price and the product form of the value of the field.
+   */
+  #dispatchChange() {
+    this.dispatchEvent(
+      new CustomPropertyChangeEvent(
+        { key: this.dataset.propertyKey ?? '', value: this.value },
+        { productId: this.dataset.productId ?? '' }
+      )
+    );
+  }
+
+  /**
+   * Shows the field when the field it depends on matches the condition, and hides it otherwise.
+   * @param {CustomPropertyChangeEvent} event - The custom property change event.
+   */
+  #onCustomPropertyChange = (event) => {
+    const { key, value } = event.detail.resource;
+    const { conditionKey, productId } = this.dataset;
+
+    if (event.target === this || !conditionKey || key !== conditionKey) return;
+    if (event.detail.data.productId !== productId) return;
+
+    // The value of the field changes with its visibility, so the fields that depend on it are updated in turn
+    if (this.#setVisible(this.#matchesCondition(value))) this.#dispatchChange();
+  };
+
+  /**
+   * Shows an error message under the field, or hides it.
+   * @param {string} [message] - The message.
+   */
+  #showError(message = '') {
+    const { error } = this.refs;
+
+    error.textContent = message;
+    error.classList.toggle('hidden', !message);
+
+    for (const input of this.#inputs) {
+      if (message) {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+    }
+  }
+
+  /**
+   * Gets the error message of an invalid input.
+   * @param {ValidityState} validity - The validity of the input.
+   * @returns {string} The message.
+   */
+  #getErrorMessage(validity) {
+    const { requiredMessage = '', patternMessage = '', rangeMessage = '', stepMessage = '' } = this.refs.error.dataset;
+
+    if (validity.valueMissing) return requiredMessage;
+    if (validity.patternMismatch) return patternMessage;
+    if (validity.stepMismatch) return stepMessage;
+
+    return rangeMessage || patternMessage;
+  }
+}
+
+/**
+ * Checks whether an input holds the value of its field, checkboxes and radios only do when they're checked.
+ * @param {HTMLInputElement} input - The input.
+ * @returns {boolean}
+ */
+function isChecked(input) {
+  return (input.type !== 'checkbox' && input.type !== 'radio') || input.checked;
 }
 
-customElements.define('product-custom-property-component', ProductCustomProperty);
+if (!customElements.get('product-custom-property-component')) {
+  customElements.define('product-custom-property-component', ProductCustomProperty);
+}
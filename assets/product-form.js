@@ -1,9 +1,14 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage, prefersReducedMotion } from '@theme/utilities';
+import { SellingPlanSelectedEvent, ThemeEvents, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
+/** @typedef {import('./component-quantity-selector').QuantitySelectorComponent} QuantitySelectorComponent */
+/** @typedef {import('./product-custom-property').ProductCustomProperty} ProductCustomProperty */
+/** @typedef {import('./cart').CartAddItem} CartAddItem */
+
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
 /**
@@ -56,13 +61,35 @@ export class AddToCartComponent extends Component {
    */
   handleClick(event) {
     const form = this.closest('form');
-    if (!form?.checkValidity()) return;
+    if (!form) return;
+
+    // The custom properties show their errors inline, every field is checked so all the errors are shown at once
+    const invalidFields = getCustomProperties(form).filter((field) => !field.validate());
+
+    if (invalidFields.length > 0) {
+      event.preventDefault();
+      invalidFields[0]?.focusInput();
+      return;
+    }
+
+    if (!form.checkValidity()) return;
+
+    // The quantity rules are checked before animating, so nothing looks added when the quantity is rejected
+    const quantitySelector = /** @type {QuantitySelectorComponent | null} */ (
+      this.closest('product-form-component')?.querySelector('quantity-selector-component') ?? null
+    );
+    const quantity = Number(new FormData(form).get('quantity') ?? 1);
+
+    if (!checkQuantityRules(quantitySelector, quantity)) {
+      event.preventDefault();
+      return;
+    }
 
     this.animateAddToCart();
 
     const animationEnabled = this.dataset.addToCartAnimation === 'true';
 
-    if (animationEnabled && !event.target.closest('.quick-add-modal')) {
+    if (animationEnabled && !prefersReducedMotion() && !event.target.closest('.quick-add-modal')) {
       this.#animateFlyToCart();
     }
   }
@@ -125,6 +152,8 @@ if (!customElements.get('add-to-cart-component')) {
  *
  * @typedef {object} ProductFormRefs
  * @property {HTMLInputElement} variantId - The form input for submitting the variant ID.
+ * @property {HTMLInputElement | undefined} sellingPlanId - The form input for submitting the selling plan ID, disabled for a one-time purchase.
+ * @property {HTMLInputElement | undefined} preorderProperty - The `_preorder` line item property, disabled unless the variant is sold as a pre-order.
  * @property {AddToCartComponent | undefined} addToCartButtonContainer - The add to cart button container element.
  * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
  * @property {HTMLElement | undefined} acceleratedCheckoutButtonContainer - The accelerated checkout button container element.
@@ -146,6 +175,7 @@ class ProductFormComponent extends Component {
     const target = this.closest('.shopify-section, dialog, product-card');
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
+    target?.addEventListener(ThemeEvents.sellingPlanSelected, this.#onSellingPlanSelected, { signal });
   }
 
   disconnectedCallback() {
@@ -176,101 +206,79 @@ class ProductFormComponent extends Component {
 
     const formData = new FormData(form);
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
-      }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    const id = formData.get('id');
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    if (!id) throw new Error('Form ID is required');
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+    const addons = getCustomProperties(form)
+      .map((field) => field.addon)
+      .filter((addon) => addon !== null);
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+    const quantitySelector = this.#quantitySelector;
+    const quantity = Number(formData.get('quantity') ?? 1);
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+    if (!checkQuantityRules(quantitySelector, quantity)) return;
 
-            // Clear the announcement
-            this.#clearLiveRegionText();
-          }, 10000);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
+    // The add-ons of the custom properties are nested in the line of the product
+    cartStore
+      .add(addons.length > 0 ? getCartItems(formData, addons) : formData, {
+        target: this,
+        sourceId: id.toString(),
+        source: 'product-form-component',
+        sections: getCartItemsSectionIds(),
+        data: { productId: this.dataset.productId },
+      })
+      .then(() => {
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, 5000);
-          }
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
+
+          this.#setLiveRegionText(addedText);
+
+          setTimeout(() => {
+            this.#clearLiveRegionText();
+          }, 5000);
         }
       })
       .catch((error) => {
-        console.error(error);
+        // The store already dispatched the error event and the update for what the back-end still added to the cart
+        if (!(error instanceof CartError)) {
+          console.error(error);
+          return;
+        }
+
+        // Explain the quantity rule the cart enforced rather than its generic message
+        const message = quantitySelector?.validate(quantity)?.message || error.message;
+
+        if (!addToCartTextError) return;
+        addToCartTextError.classList.remove('hidden');
+
+        // Reuse the text node if the user is spam-clicking
+        const textNode = addToCartTextError.childNodes[2];
+        if (textNode) {
+          textNode.textContent = message;
+        } else {
+          const newTextNode = document.createTextNode(message);
+          addToCartTextError.appendChild(newTextNode);
+        }
+
+        // Create or get existing error live region for screen readers
+        this.#setLiveRegionText(message);
+
+        this.#timeout = setTimeout(() => {
+          if (!addToCartTextError) return;
+          addToCartTextError.classList.add('hidden');
+
+          // Clear the announcement
+          this.#clearLiveRegionText();
+        }, 10000);
       })
       .finally(() => {
         // add more thing to do in here if needed.
@@ -278,6 +286,14 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Gets the quantity selector of the form, if any.
+   * @returns {QuantitySelectorComponent | null} The quantity selector.
+   */
+  get #quantitySelector() {
+    return /** @type {QuantitySelectorComponent | null} */ (this.querySelector('quantity-selector-component'));
+  }
+
   /**
    * @param {*} text
    */
@@ -301,7 +317,13 @@ class ProductFormComponent extends Component {
       return;
     }
 
-    const { variantId, addToCartButtonContainer } = this.refs;
+    const { variantId, addToCartButtonContainer, preorderProperty } = this.refs;
+
+    // Follow the pre-order mode of the new variant
+    const newPreorderProperty = event.detail.data.html.querySelector('[ref="preorderProperty"]');
+    if (preorderProperty && newPreorderProperty instanceof HTMLInputElement) {
+      preorderProperty.disabled = newPreorderProperty.disabled;
+    }
 
     const currentAddToCartButton = addToCartButtonContainer?.refs.addToCartButton;
     const newAddToCartButton = event.detail.data.html.querySelector('[ref="addToCartButton"]');
@@ -320,6 +342,8 @@ class ProductFormComponent extends Component {
     // Update the add to cart button text and icon
     if (newAddToCartButton) {
       morph(currentAddToCartButton, newAddToCartButton);
+    } else if (preorderProperty) {
+      this.#renderPreorderText(currentAddToCartButton, !preorderProperty.disabled);
     }
 
     // Update the variant ID
@@ -334,12 +358,118 @@ class ProductFormComponent extends Component {
   };
 
   /**
-   * Disable the add to cart button while the UI is updating before #onVariantUpdate is called.
+   * Shows the pre-order text on the add to cart button, or the add to cart text, when the fetched section doesn't
+   * render the button, e.g. for product cards.
+   * @param {HTMLButtonElement} button - The add to cart button.
+   * @param {boolean} isPreorder - Whether the variant is sold as a pre-order.
+   */
+  #renderPreorderText(button, isPreorder) {
+    const { addToCartText, preorderText } = this.dataset;
+    const text = button.querySelector('.add-to-cart-text__content');
+
+    if (!text || !addToCartText || !preorderText) return;
+
+    text.textContent = isPreorder ? preorderText : addToCartText;
+  }
+
+  /**
+   * Updates the variant ID and the add to cart button as soon as the variant picker resolves the selected variant.
+   * Otherwise, disable the add to cart button while the UI is updating before #onVariantUpdate is called.
    * Accelerated checkout button is also disabled via its own event listener not exposed to the theme.
+   * @param {VariantSelectedEvent} event
    */
-  #onVariantSelected = () => {
-    this.refs.addToCartButtonContainer?.disable();
+  #onVariantSelected = (event) => {
+    const { productId, variant } = event.detail.data;
+    const { variantId, addToCartButtonContainer, preorderProperty } = this.refs;
+
+    if (variant === undefined || productId !== this.dataset.productId) {
+      addToCartButtonContainer?.disable();
+      return;
+    }
+
+    variantId.value = variant ? String(variant.id) : '';
+    if (preorderProperty) preorderProperty.disabled = !variant?.preorder;
+
+    if (variant?.available) {
+      addToCartButtonContainer?.enable();
+    } else {
+      addToCartButtonContainer?.disable();
+    }
   };
+
+  /**
+   * Sends the selected selling plan with the variant, a one-time purchase sends none.
+   * @param {SellingPlanSelectedEvent} event
+   */
+  #onSellingPlanSelected = (event) => {
+    const { sellingPlanId } = this.refs;
+
+    if (!sellingPlanId || event.detail.data.productId !== this.dataset.productId) return;
+
+    sellingPlanId.value = event.detail.resource?.id ?? '';
+    sellingPlanId.disabled = !event.detail.resource;
+  };
+}
+
+/**
+ * Checks a quantity against the quantity rules of the selector, and snaps it to the rules instead of letting the cart
+ * reject or correct it.
+ * @param {QuantitySelectorComponent | null} quantitySelector - The quantity selector of the form.
+ * @param {number} quantity - The quantity to add.
+ * @returns {boolean} Whether the quantity is valid.
+ */
+function checkQuantityRules(quantitySelector, quantity) {
+  const violation = quantitySelector?.validate(quantity);
+
+  if (!quantitySelector || !violation) return true;
+
+  quantitySelector.refs.quantityInput.value = String(violation.quantity);
+  quantitySelector.showMessage(violation.message);
+  quantitySelector.refs.quantityInput.focus();
+
+  return false;
+}
+
+/**
+ * Gets the custom properties of a form, including the ones rendered outside of it.
+ * @param {HTMLFormElement} form - The product form.
+ * @returns {ProductCustomProperty[]} The custom properties.
+ */
+function getCustomProperties(form) {
+  /** @type {Set<ProductCustomProperty>} */
+  const fields = new Set();
+
+  for (const element of form.elements) {
+    const field = element.closest('product-custom-property-component');
+    if (field) fields.add(/** @type {ProductCustomProperty} */ (field));
+  }
+
+  return [...fields].filter((field) => typeof field.validate === 'function');
+}
+
+/**
+ * Gets the items to add from the form data, with the add-ons nested in the line of the product.
+ * @param {FormData} formData - The form data.
+ * @param {{ variantId: string }[]} addons - The add-ons of the custom properties.
+ * @returns {CartAddItem[]} The items.
+ */
+function getCartItems(formData, addons) {
+  const id = String(formData.get('id'));
+  const quantity = Number(formData.get('quantity') ?? 1);
+  const sellingPlan = formData.get('selling_plan');
+  /** @type {Record<string, string>} */
+  const properties = {};
+
+  for (const [name, value] of formData) {
+    const key = name.match(/^properties\[(.+)\]$/)?.[1];
+    if (key && typeof value === 'string') properties[key] = value;
+  }
+
+  /** @type {CartAddItem} */
+  const item = { id, quantity, properties };
+  if (sellingPlan) item.selling_plan = String(sellingPlan);
+
+  return [item, ...addons.map(({ variantId }) => ({ id: variantId, quantity, parent_id: id }))];
 }
 
 if (!customElements.get('product-form-component')) {
@@ -1,4 +1,7 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { CustomPropertyChangeEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { formatCents } from '@theme/utilities';
+
+/** @typedef {import('./product-custom-property').ProductCustomProperty} ProductCustomProperty */
 
 /**
  * A custom element that displays a product price.
@@ -6,18 +9,21 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * It also shows the total of the price add-ons of the product custom properties that have a value.
  */
 class ProductPrice extends HTMLElement {
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.customPropertyChange, this.updateAddons);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.customPropertyChange, this.updateAddons);
   }
 
   /**
@@ -40,6 +46,28 @@ class ProductPrice extends HTMLElement {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Updates the total of the price add-ons.
+   * @param {CustomPropertyChangeEvent} event - The custom property change event.
+   */
+  updateAddons = (event) => {
+    const addons = this.querySelector('.price__addons');
+    const closestSection = this.closest('.shopify-section, dialog');
+
+    if (!(addons instanceof HTMLElement) || !closestSection) return;
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const fields = /** @type {NodeListOf<ProductCustomProperty>} */ (
+      closestSection.querySelectorAll(`product-custom-property-component[data-product-id="${this.dataset.productId}"]`)
+    );
+    let total = 0;
+
+    for (const field of fields) total += field.addon?.price ?? 0;
+
+    addons.textContent = total > 0 ? (addons.dataset.template ?? '').replace('[price]', formatCents(total)) : '';
+    addons.classList.toggle('hidden', total === 0);
+  };
 }
 
 if (!customElements.get('product-price')) {
@@ -1,4 +1,38 @@
-class ProductRecommendations extends HTMLElement {
+/**
+ * The cached recommendations, by URL, shared by all the recommendation elements
+ * @type {Record<string, string>}
+ */
+const cachedRecommendations = {};
+
+/**
+ * Fetches the section rendering the recommendations of a product, and caches the result for future use
+ * @param {string} url - The product recommendations URL, with the `limit` parameter
+ * @param {object} params
+ * @param {string} params.productId - The id of the product to get recommendations for
+ * @param {string} [params.sectionId] - The id of the section rendering the recommendations
+ * @param {string} [params.intent] - The type of recommendations, `related` or `complementary`
+ * @param {AbortSignal} [signal] - The signal to abort the request
+ * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
+ */
+export async function fetchCachedRecommendations(url, { productId, sectionId, intent }, signal) {
+  const requestUrl = `${url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
+
+  const cachedResponse = cachedRecommendations[requestUrl];
+  if (cachedResponse) {
+    return { success: true, data: cachedResponse };
+  }
+
+  const response = await fetch(requestUrl, { signal });
+  if (!response.ok) {
+    return { success: false, status: response.status };
+  }
+
+  const text = await response.text();
+  cachedRecommendations[requestUrl] = text;
+  return { success: true, data: text };
+}
+
+export class ProductRecommendations extends HTMLElement {
   /**
    * The observer for the product recommendations
    * @type {IntersectionObserver}
@@ -41,12 +75,6 @@ class ProductRecommendations extends HTMLElement {
     }
   });
 
-  /**
-   * The cached recommendations
-   * @type {Record<string, string>}
-   */
-  #cachedRecommendations = {};
-
   /**
    * An abort controller for the active fetch (if there is one)
    * @type {AbortController | null}
@@ -103,32 +131,22 @@ class ProductRecommendations extends HTMLElement {
   }
 
   /**
-   * Fetches the recommendations and cached the result for future use
+   * Fetches the recommendations, aborting the active fetch
    * @param {string} productId
    * @param {string | undefined} sectionId
    * @param {string | undefined} intent
    * @returns {Promise<{ success: true, data: string } | { success: false, status: number }>}
    */
   async #fetchCachedRecommendations(productId, sectionId, intent) {
-    const url = `${this.dataset.url}&product_id=${productId}&section_id=${sectionId}&intent=${intent}`;
-
-    const cachedResponse = this.#cachedRecommendations[url];
-    if (cachedResponse) {
-      return { success: true, data: cachedResponse };
-    }
-
     this.#activeFetch?.abort();
     this.#activeFetch = new AbortController();
 
     try {
-      const response = await fetch(url, { signal: this.#activeFetch.signal });
-      if (!response.ok) {
-        return { success: false, status: response.status };
-      }
-
-      const text = await response.text();
-      this.#cachedRecommendations[url] = text;
-      return { success: true, data: text };
+      return await fetchCachedRecommendations(
+        `${this.dataset.url}`,
+        { productId, sectionId, intent },
+        this.#activeFetch.signal
+      );
     } finally {
       this.#activeFetch = null;
     }
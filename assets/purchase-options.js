@@ -0,0 +1,178 @@
+import { Component } from '@theme/component';
+import { SellingPlanSelectedEvent, ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets shoppers choose between a one-time purchase and the selling plans of a product.
+ *
+ * The product form sends the selected plan with add to cart, and the price of the plan replaces the product price of
+ * the section. The plans and their prices depend on the variant, so they're updated from the section fetched when
+ * the variant changes, keeping the selected plan when the new variant has it.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFieldSetElement} options - The purchase options.
+ * @property {HTMLElement} prices - The templates of the product price, one per purchase option.
+ *
+ * @extends {Component<Refs>}
+ */
+class PurchaseOptions extends Component {
+  requiredRefs = ['options', 'prices'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#abortController = new AbortController();
+
+    // Listen on the document rather than the section, so the price is rendered after the product price was replaced
+    // with the one of the section
+    document.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, {
+      signal: this.#abortController.signal,
+    });
+
+    if (this.dataset.sellingPlanId) this.#renderPrice();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Selects a purchase option, or the frequency of a selling plan group, which selects the group.
+   * @param {Event} event - The change event.
+   */
+  select(event) {
+    const { target } = event;
+
+    if (target instanceof HTMLSelectElement) {
+      const radio = this.#radios.find((radio) => radio.value === target.dataset.groupId);
+
+      if (radio) {
+        radio.dataset.sellingPlanId = target.value;
+        radio.checked = true;
+      }
+    }
+
+    const checkedRadio = this.#radios.find((radio) => radio.checked);
+
+    this.#setSellingPlan(checkedRadio?.dataset.sellingPlanId ?? '');
+  }
+
+  /**
+   * The radios of the purchase options.
+   * @returns {HTMLInputElement[]}
+   */
+  get #radios() {
+    return Array.from(this.refs.options.querySelectorAll('input[type="radio"]')).filter(
+      (radio) => radio instanceof HTMLInputElement
+    );
+  }
+
+  /**
+   * Selects a selling plan, and notifies the product form.
+   * @param {string} sellingPlanId - The selling plan id, empty for a one-time purchase.
+   */
+  #setSellingPlan(sellingPlanId) {
+    this.dataset.sellingPlanId = sellingPlanId;
+    this.#renderPrice();
+
+    this.dispatchEvent(
+      new SellingPlanSelectedEvent(sellingPlanId ? { id: sellingPlanId } : null, {
+        productId: this.dataset.productId ?? '',
+      })
+    );
+  }
+
+  /**
+   * Checks the radio of a selling plan, and selects its frequency.
+   * @param {string} sellingPlanId - The selling plan id, empty for a one-time purchase.
+   * @returns {boolean} Whether the selling plan is offered for the selected variant.
+   */
+  #check(sellingPlanId) {
+    for (const radio of this.#radios) {
+      if (radio.disabled) continue;
+
+      const frequency = this.refs.options.querySelector(`select[data-group-id="${radio.value}"]`);
+      const hasPlan =
+        frequency instanceof HTMLSelectElement
+          ? Array.from(frequency.options).some((option) => option.value === sellingPlanId)
+          : radio.dataset.sellingPlanId === sellingPlanId;
+
+      if (!hasPlan) continue;
+
+      if (frequency instanceof HTMLSelectElement) frequency.value = sellingPlanId;
+
+      radio.dataset.sellingPlanId = sellingPlanId;
+      radio.checked = true;
+
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Shows the price of the selected purchase option in the product price of the section.
+   */
+  #renderPrice() {
+    const { productId, sellingPlanId = '' } = this.dataset;
+    const template = this.refs.prices.querySelector(`template[data-selling-plan-id="${sellingPlanId}"]`);
+    const newPrice =
+      template instanceof HTMLTemplateElement && template.content.querySelector('[ref="priceContainer"]');
+    const container = this.closest('.shopify-section, dialog');
+
+    if (!newPrice || !container) return;
+
+    for (const productPrice of container.querySelectorAll(`product-price[data-product-id="${productId}"]`)) {
+      // Product cards of the same product keep their own price
+      if (productPrice.closest('product-card')) continue;
+
+      productPrice.querySelector('[ref="priceContainer"]')?.replaceWith(newPrice.cloneNode(true));
+    }
+  }
+
+  /**
+   * Updates the purchase options and their prices for the new variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    const { html, newProduct, productId } = event.detail.data;
+    const container = this.closest('.shopify-section, dialog');
+
+    if (!(event.target instanceof Node) || !container?.contains(event.target)) return;
+    if (!newProduct && productId !== this.dataset.productId) return;
+
+    const newPurchaseOptions = html.querySelector(
+      `purchase-options[data-product-id="${newProduct?.id ?? this.dataset.productId}"]`
+    );
+    const newOptions = newPurchaseOptions?.querySelector('[ref="options"]');
+    const newPrices = newPurchaseOptions?.querySelector('[ref="prices"]');
+
+    if (!(newPurchaseOptions instanceof HTMLElement) || !newOptions || !newPrices) return;
+
+    const { sellingPlanId = '' } = this.dataset;
+
+    this.dataset.productId = newPurchaseOptions.dataset.productId;
+    morph(this.refs.options, newOptions);
+    this.refs.prices.replaceChildren(...newPrices.childNodes);
+
+    if (this.#check(sellingPlanId)) {
+      this.#renderPrice();
+      return;
+    }
+
+    // The new variant doesn't have the selected plan, the option selected by default is used instead
+    const defaultSellingPlanId = newPurchaseOptions.dataset.sellingPlanId ?? '';
+
+    this.#check(defaultSellingPlanId);
+    this.#setSellingPlan(defaultSellingPlanId);
+  };
+}
+
+if (!customElements.get('purchase-options')) {
+  customElements.define('purchase-options', PurchaseOptions);
+}
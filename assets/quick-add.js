@@ -161,6 +161,7 @@ export class QuickAddComponent extends Component {
       if (!productDetails) return;
       const productFormComponent = productGrid.querySelector('product-form-component');
       const variantPicker = productGrid.querySelector('variant-picker');
+      const purchaseOptions = productGrid.querySelector('purchase-options');
       const productPrice = productGrid.querySelector('product-price');
       const productTitle = document.createElement('a');
       productTitle.textContent = this.dataset.productTitle || '';
@@ -175,8 +176,14 @@ export class QuickAddComponent extends Component {
 
       productHeader.appendChild(productTitle);
       productHeader.appendChild(productPrice);
+
+      // Keep the wishlist button, the rest of the product details are removed
+      const wishlistButton = productDetails.querySelector('wishlist-button');
+      if (wishlistButton) productHeader.appendChild(wishlistButton);
+
       productGrid.appendChild(productHeader);
       productGrid.appendChild(variantPicker);
+      if (purchaseOptions) productGrid.appendChild(purchaseOptions);
       productGrid.appendChild(productFormComponent);
       productDetails.remove();
     }
@@ -0,0 +1,105 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+import { RecentlyViewed } from '@theme/recently-viewed-products';
+
+/** @typedef {import('./recently-viewed-products').RecentlyViewedItem} RecentlyViewedItem */
+
+/**
+ * A custom element that shows the products the shopper viewed last, leaving out the product being viewed.
+ *
+ * The viewed products are only known in the browser, so the section is rendered from the search page with a query
+ * for their ids and the cards replace the list. The section stays hidden when there's nothing to show. The cards
+ * link to the variant that was last viewed.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The container of the product list.
+ *
+ * @extends {Component<Refs>}
+ */
+class RecentlyViewedList extends Component {
+  requiredRefs = ['list'];
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#load();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Fetches the cards of the viewed products and shows them.
+   */
+  async #load() {
+    const { sectionId, productId, maxProducts } = this.dataset;
+    const items = RecentlyViewed.getItems({ exclude: productId }).slice(0, Number(maxProducts) || undefined);
+
+    // Placeholders are kept in the theme editor, so the section can be styled before any product is viewed
+    if (!sectionId || items.length === 0) return;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+
+    const { signal } = this.#abortController;
+
+    try {
+      const url = new URL(Theme.routes.search_url, location.origin);
+      url.searchParams.set('q', items.map((item) => `id:${item.productId}`).join(' OR '));
+      url.searchParams.set('resources[type]', 'product');
+
+      const html = await sectionRenderer.getSectionHTML(sectionId, false, url);
+
+      if (signal.aborted) return;
+
+      const newList = new DOMParser()
+        .parseFromString(html, 'text/html')
+        .querySelector('.recently-viewed-list__products');
+
+      // Products that aren't found, e.g. unpublished ones, aren't shown
+      if (!newList?.querySelector('.resource-list__item')) return;
+
+      const { list } = this.refs;
+
+      list.replaceChildren(...newList.childNodes);
+      linkViewedVariants(list, items);
+
+      this.classList.remove('hidden');
+    } catch (error) {
+      if (signal.aborted) return;
+
+      console.error('Recently viewed products error:', error);
+    }
+  }
+}
+
+/**
+ * Points the links of the product cards to the variant that was last viewed.
+ * @param {HTMLElement} list - The product list.
+ * @param {RecentlyViewedItem[]} items - The viewed products.
+ */
+function linkViewedVariants(list, items) {
+  for (const { productId, variantId } of items) {
+    if (!variantId) continue;
+
+    for (const card of list.querySelectorAll(`product-card[data-product-id="${productId}"]`)) {
+      for (const link of card.querySelectorAll('a[href*="/products/"]')) {
+        if (!(link instanceof HTMLAnchorElement)) continue;
+
+        const url = new URL(link.href);
+        url.searchParams.set('variant', variantId);
+        link.href = url.toString();
+      }
+    }
+  }
+}
+
+if (!customElements.get('recently-viewed-list')) {
+  customElements.define('recently-viewed-list', RecentlyViewedList);
+}
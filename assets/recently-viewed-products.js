@@ -1,35 +1,146 @@
+/**
+ * A product the shopper viewed.
+ *
+ * @typedef {object} RecentlyViewedItem
+ * @property {string} productId - The product id
+ * @property {string} [variantId] - The id of the variant last viewed
+ * @property {number} viewedAt - When the product was last viewed, in milliseconds since the epoch
+ */
+
+/**
+ * @typedef {object} RecentlyViewedOptions
+ * @property {string} [exclude] - The id of a product to leave out, usually the product being viewed
+ */
+
 /**
  * Updates the recently viewed products in localStorage.
+ *
+ * The number of products kept and how long they're kept are set by the `recently_viewed` theme settings.
  */
 export class RecentlyViewed {
-  /** @static @constant {string} The key used to store the viewed products in session storage */
-  static #STORAGE_KEY = 'viewedProducts';
-  /** @static @constant {number} The maximum number of products to store */
-  static #MAX_PRODUCTS = 4;
+  /** @static @constant {string} The key used to store the viewed products in local storage */
+  static #STORAGE_KEY = 'theme:recently-viewed';
+  /** @static @constant {string} The key the product ids were stored under before timestamps were kept */
+  static #LEGACY_STORAGE_KEY = 'viewedProducts';
+  /** @static @constant {number} The maximum number of products to store, when not set by the theme */
+  static #MAX_PRODUCTS = 12;
+  /** @static @constant {number} The number of days a product is kept, when not set by the theme */
+  static #EXPIRY_DAYS = 30;
 
   /**
-   * Adds a product to the recently viewed products list.
+   * Adds a product to the recently viewed products list, or moves it to the top.
    * @param {string} productId - The ID of the product to add.
+   * @param {string} [variantId] - The ID of the variant viewed.
+   */
+  static addProduct(productId, variantId) {
+    const items = this.getItems({ exclude: productId });
+
+    items.unshift({ productId, variantId, viewedAt: Date.now() });
+
+    this.#write(items.slice(0, this.#maxProducts));
+  }
+
+  /**
+   * Records the variant viewed for a product already in the list, without reordering the list.
+   * @param {string} productId - The ID of the product.
+   * @param {string} variantId - The ID of the variant viewed.
    */
-  static addProduct(productId) {
-    let viewedProducts = this.getProducts();
+  static setVariant(productId, variantId) {
+    const items = this.getItems();
+    const item = items.find((item) => item.productId === productId);
 
-    viewedProducts = viewedProducts.filter((/** @type {string} */ id) => id !== productId);
-    viewedProducts.unshift(productId);
-    viewedProducts = viewedProducts.slice(0, this.#MAX_PRODUCTS);
+    if (!item) return;
 
-    localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(viewedProducts));
+    item.variantId = variantId;
+    this.#write(items);
   }
 
   static clearProducts() {
-    localStorage.removeItem(this.#STORAGE_KEY);
+    try {
+      localStorage.removeItem(this.#STORAGE_KEY);
+      localStorage.removeItem(this.#LEGACY_STORAGE_KEY);
+    } catch (_) {
+      // Storage may be unavailable, there's nothing to clear
+    }
+  }
+
+  /**
+   * Retrieves the recently viewed products that haven't expired, the most recently viewed first.
+   * @param {RecentlyViewedOptions} [options]
+   * @returns {RecentlyViewedItem[]} The viewed products.
+   */
+  static getItems({ exclude } = {}) {
+    const expiresBefore = Date.now() - this.#expiryDays * 24 * 60 * 60 * 1000;
+
+    return this.#read()
+      .filter((item) => item.viewedAt >= expiresBefore && item.productId !== exclude)
+      .slice(0, this.#maxProducts);
   }
 
   /**
-   * Retrieves the list of recently viewed products from session storage.
+   * Retrieves the ids of the recently viewed products that haven't expired, the most recently viewed first.
+   * @param {RecentlyViewedOptions} [options]
    * @returns {string[]} The list of viewed products.
    */
-  static getProducts() {
-    return JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+  static getProducts(options) {
+    return this.getItems(options).map(({ productId }) => productId);
+  }
+
+  /**
+   * The maximum number of products to store.
+   * @returns {number}
+   */
+  static get #maxProducts() {
+    return Number(Theme.recently_viewed.max_products) || this.#MAX_PRODUCTS;
+  }
+
+  /**
+   * The number of days a product is kept.
+   * @returns {number}
+   */
+  static get #expiryDays() {
+    return Number(Theme.recently_viewed.expiry_days) || this.#EXPIRY_DAYS;
+  }
+
+  /**
+   * Reads the viewed products, moving over the ids stored before timestamps were kept.
+   * @returns {RecentlyViewedItem[]} The viewed products.
+   */
+  static #read() {
+    try {
+      const stored = localStorage.getItem(this.#STORAGE_KEY);
+
+      if (stored) {
+        const items = JSON.parse(stored);
+
+        return Array.isArray(items) ? items : [];
+      }
+
+      const legacyIds = JSON.parse(localStorage.getItem(this.#LEGACY_STORAGE_KEY) || '[]');
+
+      if (!Array.isArray(legacyIds) || legacyIds.length === 0) return [];
+
+      const now = Date.now();
+      const items = legacyIds.map((productId) => ({ productId: String(productId), viewedAt: now }));
+
+      this.#write(items);
+      localStorage.removeItem(this.#LEGACY_STORAGE_KEY);
+
+      return items;
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the viewed products.
+   * @param {RecentlyViewedItem[]} items - The viewed products.
+   */
+  static #write(items) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage may be full or unavailable, the products just aren't remembered
+    }
   }
 }
@@ -0,0 +1,391 @@
+import { Component } from '@theme/component';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+
+/** @typedef {import('./cart').CartLine} CartLine */
+/** @typedef {import('./cart').CartAddItem} CartAddItem */
+
+/**
+ * An item saved for later, with what's needed to show it and to add it back to the cart.
+ *
+ * @typedef {object} SavedItem
+ * @property {string} key - The key of the item, from its variant, properties and selling plan
+ * @property {number} variant_id - The variant id
+ * @property {string} handle - The product handle
+ * @property {string} title - The product title
+ * @property {string | null} variant_title - The variant title, null for products with only the default variant
+ * @property {string | null} image - The image URL
+ * @property {string} url - The variant URL
+ * @property {number} quantity - The quantity
+ * @property {number} price - The price of one item when it was saved, in cents
+ * @property {Record<string, string>} properties - The line item properties
+ * @property {number} [selling_plan] - The selling plan id
+ */
+
+/**
+ * @typedef {(items: SavedItem[]) => void} SavedItemsSubscriber
+ */
+
+/**
+ * The storage key of the saved items.
+ */
+const STORAGE_KEY = 'theme:saved-items';
+
+/**
+ * The items saved for later, kept in local storage so they outlive the cart.
+ *
+ * Changes made in other tabs are picked up through the `storage` event.
+ */
+class SavedItemsStore {
+  /** @type {SavedItem[]} */
+  #items = readItems();
+
+  /** @type {Set<SavedItemsSubscriber>} */
+  #subscribers = new Set();
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#items = readItems();
+      this.#notify();
+    });
+  }
+
+  /**
+   * Gets the saved items, the most recently saved first.
+   * @returns {SavedItem[]} The saved items
+   */
+  get() {
+    return this.#items;
+  }
+
+  /**
+   * Subscribes to changes of the saved items.
+   * @param {SavedItemsSubscriber} callback - Called with the saved items every time they change
+   * @returns {() => void} A function to unsubscribe
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Saves a cart line for later. Saving the same variant with the same properties again adds up the quantities.
+   * @param {CartLine} line - The cart line
+   */
+  add(line) {
+    const item = toSavedItem(line);
+    const existing = this.#items.find(({ key }) => key === item.key);
+
+    if (existing) item.quantity += existing.quantity;
+
+    this.#write([item, ...this.#items.filter(({ key }) => key !== item.key)]);
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {string} key - The key of the item
+   */
+  remove(key) {
+    this.#write(this.#items.filter((item) => item.key !== key));
+  }
+
+  /**
+   * Stores the saved items and notifies subscribers.
+   * @param {SavedItem[]} items - The saved items
+   */
+  #write(items) {
+    this.#items = items;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage may be full or unavailable, the items are kept for this page
+    }
+
+    this.#notify();
+  }
+
+  #notify() {
+    for (const callback of this.#subscribers) {
+      callback(this.#items);
+    }
+  }
+}
+
+/**
+ * Reads the saved items from local storage.
+ * @returns {SavedItem[]} The saved items
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+
+    return Array.isArray(items) ? items : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Gets the saved item for a cart line.
+ * @param {CartLine} line - The cart line
+ * @returns {SavedItem} The saved item
+ */
+function toSavedItem(line) {
+  const properties = line.properties ?? {};
+  const sellingPlan = line.selling_plan_allocation?.selling_plan.id;
+
+  return {
+    key: [line.variant_id, JSON.stringify(properties), sellingPlan ?? ''].join(':'),
+    variant_id: line.variant_id,
+    handle: line.handle,
+    title: line.product_title ?? line.title,
+    variant_title: line.variant_title ?? null,
+    image: line.image,
+    url: line.url,
+    quantity: line.quantity,
+    price: line.final_price,
+    properties,
+    ...(sellingPlan ? { selling_plan: sellingPlan } : {}),
+  };
+}
+
+export const savedItems = new SavedItemsStore();
+
+/**
+ * The availability and price of the products of saved items, by handle, fetched once per page load.
+ *
+ * @type {Map<string, Promise<any>>}
+ */
+const products = new Map();
+
+/**
+ * Fetches a product from the AJAX product API.
+ * @param {string} handle - The product handle
+ * @returns {Promise<any>} The product, or null if it doesn't exist anymore
+ */
+function fetchProduct(handle) {
+  let product = products.get(handle);
+
+  if (!product) {
+    product = fetch(`${Theme.routes.root_url.replace(/\/$/, '')}/products/${encodeURIComponent(handle)}.js`).then(
+      (response) => {
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+        return response.json();
+      }
+    );
+    products.set(handle, product);
+
+    // Failed requests are retried the next time the list is shown
+    product.catch(() => products.delete(handle));
+  }
+
+  return product;
+}
+
+/**
+ * A custom element that lists the items saved for later, with buttons to move them back to the cart or remove them.
+ *
+ * The list is rendered client-side from the saved items, and the availability and price of each item are checked
+ * against its product when it's shown.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLUListElement} list - The list of saved items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved item.
+ * @property {HTMLElement} liveRegion - The live region that announces moved and removed items.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedItemsComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate', 'liveRegion'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = savedItems.subscribe(this.#render);
+    this.#render(savedItems.get());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Renders the saved items, keeping the elements of the items that are still saved.
+   * @param {SavedItem[]} items - The saved items.
+   */
+  #render = (items) => {
+    const { list } = this.refs;
+    const focusedElement = list.contains(document.activeElement) ? document.activeElement : null;
+
+    /** @type {Map<string, HTMLElement>} */
+    const elements = new Map();
+
+    for (const element of list.querySelectorAll(':scope > li')) {
+      if (element instanceof HTMLElement && element.dataset.key) elements.set(element.dataset.key, element);
+    }
+
+    list.replaceChildren(...items.map((item) => elements.get(item.key) ?? this.#renderItem(item)));
+    this.classList.toggle('hidden', items.length === 0);
+
+    if (!focusedElement) return;
+
+    // Re-attached elements lose the focus, and the focus moves on when the focused item is moved or removed
+    const target = list.contains(focusedElement)
+      ? focusedElement
+      : (list.querySelector('button:not([disabled])') ??
+        this.closest('cart-items-component')?.querySelector('a[href], button:not([disabled])'));
+
+    if (target instanceof HTMLElement) target.focus();
+  };
+
+  /**
+   * Renders a saved item, then checks its availability and price.
+   * @param {SavedItem} item - The saved item.
+   * @returns {HTMLElement} The rendered item.
+   */
+  #renderItem(item) {
+    const element = /** @type {HTMLElement} */ (this.refs.itemTemplate.content.firstElementChild?.cloneNode(true));
+    const { moveLabel = '', removeLabel = '' } = this.dataset;
+
+    element.dataset.key = item.key;
+
+    element.querySelectorAll('a').forEach((link) => (link.href = item.url));
+
+    const image = element.querySelector('.saved-items__image');
+
+    if (image instanceof HTMLImageElement) {
+      if (item.image) {
+        const url = new URL(item.image, window.location.href);
+        url.searchParams.set('width', '160');
+        image.src = url.toString();
+      } else {
+        image.closest('.saved-items__media')?.remove();
+      }
+    }
+
+    setText(element, '.saved-items__title', item.title);
+    setText(element, '.saved-items__variant', item.variant_title);
+    setText(element, '.saved-items__price', formatCents(item.price));
+
+    const moveButton = element.querySelector('.saved-items__move');
+    const removeButton = element.querySelector('.saved-items__remove');
+
+    moveButton?.setAttribute('aria-label', moveLabel.replace('[title]', item.title));
+    moveButton?.addEventListener('click', () => this.#moveToCart(item, element));
+    removeButton?.setAttribute('aria-label', removeLabel.replace('[title]', item.title));
+    removeButton?.addEventListener('click', () => this.#remove(item));
+
+    this.#checkAvailability(item, element);
+
+    return element;
+  }
+
+  /**
+   * Shows the current availability and price of a saved item.
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLElement} element - The rendered item.
+   */
+  async #checkAvailability(item, element) {
+    const moveButton = element.querySelector('.saved-items__move');
+
+    try {
+      const product = await fetchProduct(item.handle);
+      /** @type {{ id: number, available: boolean, price: number } | undefined} */
+      const variant = product?.variants?.find((/** @type {{ id: number }} */ { id }) => id === item.variant_id);
+
+      if (variant) setText(element, '.saved-items__price', formatCents(variant.price));
+
+      if (!variant?.available) {
+        setText(
+          element,
+          '.saved-items__status',
+          variant ? this.dataset.soldOutMessage : Theme.translations.unavailable
+        );
+        if (moveButton instanceof HTMLButtonElement) moveButton.disabled = true;
+      }
+    } catch (error) {
+      // The item can still be moved, the cart checks its availability
+      console.error('Saved items error:', error);
+    }
+  }
+
+  /**
+   * Adds a saved item back to the cart and removes it from the list.
+   * @param {SavedItem} item - The saved item.
+   * @param {HTMLElement} element - The rendered item.
+   */
+  async #moveToCart(item, element) {
+    const button = element.querySelector('.saved-items__move');
+    const error = element.querySelector('.saved-items__error');
+
+    if (!(button instanceof HTMLButtonElement)) return;
+
+    /** @type {CartAddItem} */
+    const addItem = { id: item.variant_id, quantity: item.quantity, properties: item.properties };
+    if (item.selling_plan) addItem.selling_plan = item.selling_plan;
+
+    button.disabled = true;
+    error?.classList.add('hidden');
+
+    try {
+      await cartStore.add([addItem], {
+        target: this,
+        sourceId: String(item.variant_id),
+        source: 'saved-items',
+        sections: getCartItemsSectionIds(),
+      });
+
+      savedItems.remove(item.key);
+      this.refs.liveRegion.textContent = (this.dataset.movedMessage ?? '').replace('[title]', item.title);
+    } catch (addError) {
+      button.disabled = false;
+
+      if (error) {
+        error.textContent =
+          addError instanceof CartError
+            ? addError.description || addError.message
+            : (Theme.translations.cart_update_error ?? '');
+        error.classList.remove('hidden');
+      }
+    }
+  }
+
+  /**
+   * Removes a saved item.
+   * @param {SavedItem} item - The saved item.
+   */
+  #remove(item) {
+    savedItems.remove(item.key);
+    this.refs.liveRegion.textContent = (this.dataset.removedMessage ?? '').replace('[title]', item.title);
+  }
+}
+
+/**
+ * Sets the text of an element of a rendered item, or removes the element when there's no text.
+ * @param {Element} element - The rendered item.
+ * @param {string} selector - The selector of the element.
+ * @param {string | null | undefined} text - The text.
+ */
+function setText(element, selector, text) {
+  const target = element.querySelector(selector);
+
+  if (!target) return;
+
+  target.textContent = text ?? '';
+  target.classList.toggle('hidden', !text);
+}
+
+if (!customElements.get('saved-items-component')) {
+  customElements.define('saved-items-component', SavedItemsComponent);
+}
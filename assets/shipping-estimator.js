@@ -0,0 +1,302 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { debounce, formatCents, wait } from '@theme/utilities';
+
+/**
+ * A shipping rate, following the shape of the AJAX cart API.
+ *
+ * @typedef {object} ShippingRate
+ * @property {string} name - The name of the rate.
+ * @property {string} price - The price, in the cart currency, as a decimal string.
+ * @property {number[] | null} [delivery_days] - The minimum and maximum number of days to deliver.
+ */
+
+/** The delay between two polls of the rates being calculated. */
+const POLL_INTERVAL = 500;
+
+/** The number of polls before the estimate is given up. */
+const MAX_POLL_ATTEMPTS = 20;
+
+/**
+ * An error returned by the shipping rates endpoints, with the errors of each address field.
+ */
+class ShippingRatesError extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {Record<string, string[]>} [fields] - The errors by address field.
+   */
+  constructor(message, fields = {}) {
+    super(message);
+    this.name = 'ShippingRatesError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * A custom element that estimates the shipping rates of the cart for an address.
+ *
+ * The rates are prepared then polled, as the AJAX cart API calculates them asynchronously. The endpoints are read
+ * from `Theme.routes`, so they can be pointed to a local stub.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLFormElement} form - The address form.
+ * @property {HTMLSelectElement} country - The country field.
+ * @property {HTMLInputElement} province - The province field.
+ * @property {HTMLInputElement} zip - The zip field.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} error - The error message.
+ * @property {HTMLElement} errorText - The error message text.
+ * @property {HTMLElement} results - The list of rates.
+ *
+ * @extends {Component<Refs>}
+ */
+class ShippingEstimator extends Component {
+  requiredRefs = ['form', 'country', 'province', 'zip', 'submitButton', 'error', 'errorText', 'results'];
+
+  /** @type {AbortController | null} */
+  #abortController = null;
+
+  /**
+   * Whether rates were estimated, so they're refreshed when the cart changes.
+   * @type {boolean}
+   */
+  #hasEstimate = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+
+    // Follow the country picked in the localization form, which may differ from the one the page was rendered with
+    const country = document.querySelector('localization-form-component input[name="country_code"]');
+    const { country: countrySelect } = this.refs;
+
+    if (
+      country instanceof HTMLInputElement &&
+      countrySelect.querySelector(`option[value="${CSS.escape(country.value)}"]`)
+    ) {
+      countrySelect.value = country.value;
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#handleCartUpdate.cancel();
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Estimates the rates for the address in the form.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  estimate(event) {
+    event.preventDefault();
+    this.#estimate();
+  }
+
+  /**
+   * The rates depend on the cart content, so they're estimated again when it changes.
+   */
+  #handleCartUpdate = debounce(() => {
+    if (this.#hasEstimate) this.#estimate();
+  }, 300);
+
+  async #estimate() {
+    const { submitButton, results } = this.refs;
+
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    this.#hideError();
+    submitButton.disabled = true;
+    results.setAttribute('aria-busy', 'true');
+
+    try {
+      const rates = await this.#fetchRates(signal);
+
+      this.#hasEstimate = true;
+      this.#renderRates(rates);
+    } catch (error) {
+      if (error instanceof Error && error.name === 'AbortError') return;
+
+      this.#hasEstimate = false;
+      results.replaceChildren();
+
+      if (error instanceof ShippingRatesError) {
+        this.#showError(error.message, error.fields);
+      } else {
+        console.error(error);
+        this.#showError(results.dataset.errorMessage ?? '');
+      }
+    } finally {
+      if (!signal.aborted) {
+        submitButton.disabled = false;
+        results.setAttribute('aria-busy', 'false');
+      }
+    }
+  }
+
+  /**
+   * Prepares the rates for the address, then polls them until they're calculated.
+   * @param {AbortSignal} signal - The signal to abort the requests.
+   * @returns {Promise<ShippingRate[]>} The rates.
+   */
+  async #fetchRates(signal) {
+    const { country, province, zip } = this.refs;
+    const params = new URLSearchParams({
+      'shipping_address[country]': country.value,
+      'shipping_address[province]': province.value.trim(),
+      'shipping_address[zip]': zip.value.trim(),
+    });
+
+    const prepareResponse = await fetch(`${Theme.routes.cart_prepare_shipping_rates_url}?${params}`, {
+      method: 'POST',
+      signal,
+    });
+
+    if (!prepareResponse.ok) throw await this.#parseError(prepareResponse);
+
+    for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+      const response = await fetch(`${Theme.routes.cart_async_shipping_rates_url}?${params}`, { signal });
+
+      if (!response.ok) throw await this.#parseError(response);
+
+      // The rates are null until they're calculated
+      const data = response.status === 202 ? null : await response.json();
+
+      if (data?.shipping_rates) return data.shipping_rates;
+
+      await wait(POLL_INTERVAL, signal);
+    }
+
+    throw new ShippingRatesError(this.refs.results.dataset.errorMessage ?? '');
+  }
+
+  /**
+   * Gets the error of a rejected request, with the errors of each address field.
+   * @param {Response} response - The response.
+   * @returns {Promise<ShippingRatesError>} The error.
+   */
+  async #parseError(response) {
+    /** @type {Record<string, string[] | string>} */
+    const data = await response.json().catch(() => ({}));
+    /** @type {Record<string, string[]>} */
+    const fields = {};
+    const messages = [];
+
+    for (const [field, errors] of Object.entries(data ?? {})) {
+      const fieldErrors = Array.isArray(errors) ? errors : [String(errors)];
+      const label = this.#getField(field)?.labels?.[0]?.textContent?.trim();
+
+      fields[field] = fieldErrors;
+      messages.push(label ? `${label} ${fieldErrors.join(', ')}` : fieldErrors.join(', '));
+    }
+
+    return new ShippingRatesError(messages.join('. ') || this.refs.results.dataset.errorMessage || '', fields);
+  }
+
+  /**
+   * Renders the rates, with their delivery estimates.
+   * @param {ShippingRate[]} rates - The rates.
+   */
+  #renderRates(rates) {
+    const { results } = this.refs;
+    const { emptyMessage = '', titleMessage = '', freeMessage = '' } = results.dataset;
+
+    if (rates.length === 0) {
+      const empty = document.createElement('p');
+      empty.textContent = emptyMessage;
+      results.replaceChildren(empty);
+      return;
+    }
+
+    const title = document.createElement('p');
+    title.textContent = titleMessage;
+
+    const list = document.createElement('ul');
+    list.className = 'shipping-estimator__rates list-unstyled';
+
+    for (const rate of rates) {
+      const item = document.createElement('li');
+      const details = document.createElement('span');
+      const name = document.createElement('span');
+      const price = document.createElement('span');
+      const cents = Math.round(parseFloat(rate.price) * 100);
+
+      item.className = 'shipping-estimator__rate';
+      name.textContent = rate.name;
+      price.textContent = cents > 0 ? formatCents(cents) : freeMessage;
+      details.append(name);
+
+      const delivery = this.#formatDeliveryDays(rate.delivery_days);
+
+      if (delivery) {
+        const deliveryElement = document.createElement('span');
+        deliveryElement.className = 'shipping-estimator__rate-delivery';
+        deliveryElement.textContent = delivery;
+        details.append(deliveryElement);
+      }
+
+      item.append(details, price);
+      list.append(item);
+    }
+
+    results.replaceChildren(title, list);
+  }
+
+  /**
+   * Formats the delivery estimate of a rate.
+   * @param {number[] | null | undefined} deliveryDays - The minimum and maximum number of days to deliver.
+   * @returns {string} The delivery estimate, or an empty string if there is none.
+   */
+  #formatDeliveryDays(deliveryDays) {
+    const { deliveryMessage = '', deliverySingleMessage = '' } = this.refs.results.dataset;
+    const [min, max = min] = deliveryDays ?? [];
+
+    if (min == null || max == null) return '';
+    if (min === max) return deliverySingleMessage.replace('[days]', String(min));
+
+    return deliveryMessage.replace('[min]', String(min)).replace('[max]', String(max));
+  }
+
+  /**
+   * Gets the form field of an address field returned by the API.
+   * @param {string} field - The address field.
+   * @returns {HTMLInputElement | HTMLSelectElement | undefined} The form field.
+   */
+  #getField(field) {
+    const { country, province, zip } = this.refs;
+
+    return { country, province, zip }[field];
+  }
+
+  /**
+   * Shows an error message, and flags the invalid fields.
+   * @param {string} message - The error message.
+   * @param {Record<string, string[]>} [fields] - The errors by address field.
+   */
+  #showError(message, fields = {}) {
+    const { error, errorText } = this.refs;
+
+    errorText.textContent = message;
+    error.classList.remove('hidden');
+
+    for (const field of Object.keys(fields)) {
+      this.#getField(field)?.setAttribute('aria-invalid', 'true');
+    }
+  }
+
+  #hideError() {
+    const { error, country, province, zip } = this.refs;
+
+    error.classList.add('hidden');
+    [country, province, zip].forEach((field) => field.removeAttribute('aria-invalid'));
+  }
+}
+
+if (!customElements.get('shipping-estimator')) {
+  customElements.define('shipping-estimator', ShippingEstimator);
+}
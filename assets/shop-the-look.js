@@ -3,6 +3,8 @@
  * Handles carousel navigation, modal display, and AJAX cart functionality
  */
 
+import { cartStore, getCartItemsSectionIds } from '@theme/cart';
+
 class ShopTheLook {
   constructor() {
     this.carousel = document.querySelector('[data-carousel]');
@@ -11,7 +13,6 @@ class ShopTheLook {
     this.modalOverlay = document.querySelector('[data-modal-overlay]');
     this.modalContent = document.querySelector('[data-modal-content]');
     this.modalClose = document.querySelector('[data-modal-close]');
-    this.toast = document.querySelector('[data-toast]');
     this.prevBtn = document.querySelector('[data-carousel-prev]');
     this.nextBtn = document.querySelector('[data-carousel-next]');
     this.addAllBtn = document.querySelector('[data-add-all-to-bag]');
@@ -300,29 +301,20 @@ class ShopTheLook {
         });
       });
 
-      // Add all items to cart
-      const response = await fetch('/cart/add.js', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ items: items })
+      // Add all items through the cart store, so the add to cart confirmation of the theme is shown
+      await cartStore.add(items, {
+        target: this.addAllBtn ?? undefined,
+        source: 'shop-the-look',
+        // Render the cart sections along with the request, like the product forms
+        sections: getCartItemsSectionIds()
       });
 
-      if (response.ok) {
-        this.showToast();
-        this.addAllBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" style="width: 20px; height: 20px; margin-right: 8px;"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12.75l6 6 9-13.5" /></svg>ADDED!';
-        
-        setTimeout(() => {
-          this.addAllBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" style="width: 20px; height: 20px; margin-right: 8px;"><path stroke-linecap="round" stroke-linejoin="round" d="M15.75 10.5V6a3.75 3.75 0 10-7.5 0v4.5m11.356-1.993l1.263 12c.07.665-.45 1.243-1.119 1.243H4.25a1.125 1.125 0 01-1.12-1.243l1.264-12A1.125 1.125 0 015.513 7.5h12.974c.576 0 1.059.435 1.119 1.007zM8.625 10.5a.375.375 0 11-.75 0 .375.375 0 01.75 0zm7.5 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z" /></svg>ADD TO BAG';
-          this.addAllBtn.disabled = false;
-        }, 2000);
-
-        // Dispatch cart refresh event
-        document.dispatchEvent(new CustomEvent('cart:refresh'));
-      } else {
-        throw new Error('Failed to add to cart');
-      }
+      this.addAllBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" style="width: 20px; height: 20px; margin-right: 8px;"><path stroke-linecap="round" stroke-linejoin="round" d="M4.5 12.75l6 6 9-13.5" /></svg>ADDED!';
+      
+      setTimeout(() => {
+        this.addAllBtn.innerHTML = '<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor" style="width: 20px; height: 20px; margin-right: 8px;"><path stroke-linecap="round" stroke-linejoin="round" d="M15.75 10.5V6a3.75 3.75 0 10-7.5 0v4.5m11.356-1.993l1.263 12c.07.665-.45 1.243-1.119 1.243H4.25a1.125 1.125 0 01-1.12-1.243l1.264-12A1.125 1.125 0 015.513 7.5h12.974c.576 0 1.059.435 1.119 1.007zM8.625 10.5a.375.375 0 11-.75 0 .375.375 0 01.75 0zm7.5 0a.375.375 0 11-.75 0 .375.375 0 01.75 0z" /></svg>ADD TO BAG';
+        this.addAllBtn.disabled = false;
+      }, 2000);
     } catch (error) {
       console.error('Error adding to cart:', error);
       this.addAllBtn.textContent = 'ERROR - TRY AGAIN';
@@ -347,15 +339,6 @@ class ShopTheLook {
     }
   }
 
-  showToast() {
-    if (this.toast) {
-      this.toast.classList.add('active');
-      setTimeout(() => {
-        this.toast.classList.remove('active');
-      }, 3000);
-    }
-  }
-
   formatMoney(cents) {
     const dollars = cents / 100;
     return new Intl.NumberFormat('en-US', {
@@ -215,6 +215,30 @@ export function throttle(fn, delay) {
   return /** @type {T & { cancel(): void }} */ (throttled);
 }
 
+/**
+ * Waits for the given time, or rejects with an `AbortError` if the signal is aborted first.
+ *
+ * @param {number} delay The time (in milliseconds) to wait
+ * @param {AbortSignal} [signal] The signal to stop waiting
+ * @returns {Promise<void>} A promise that resolves after the delay
+ */
+export function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+
+    const timeout = setTimeout(resolve, delay);
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeout);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true }
+    );
+  });
+}
+
 /**
  * A media query for reduced motion
  * @type {MediaQueryList}
@@ -257,6 +281,139 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Formats a money value in cents, replicating the implementation of the `money` liquid filters.
+ *
+ * Markup in the money format is dropped unless `keepMarkup` is set, so by default the result is meant to be used as
+ * text content. Callers that render the result as HTML keep the markup, like the `money` filter does.
+ *
+ * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
+ * @param {Object} [options] - The formatting options
+ * @param {string} [options.format] - The money format, defaults to the shop's money format
+ * @param {string} [options.currency] - The currency ISO code, defaults to the presentment currency
+ * @param {boolean} [options.withCurrency] - Whether to use the `money_with_currency` format
+ * @param {boolean} [options.keepMarkup] - Whether to keep the markup of the money format
+ * @returns {string} The formatted money value
+ */
+export function formatCents(moneyValue, options = {}) {
+  const { currency = Theme.money.currency, withCurrency = false, keepMarkup = false } = options;
+  const template = options.format ?? (withCurrency ? Theme.money.format_with_currency : Theme.money.format);
+
+  const formatted = template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    return formatCentsAmount(moneyValue, thousandsSeparator, decimalSeparator, precision);
+  });
+
+  return keepMarkup ? formatted : formatted.replace(/<[^>]*>/g, '');
+}
+
+/**
+ * Formats the amount of a money value in cents
+ * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
+ * @param {string} thousandsSeparator - The thousands separator
+ * @param {string} decimalSeparator - The decimal separator
+ * @param {number} precision - The precision
+ * @returns {string} The formatted amount
+ */
+function formatCentsAmount(moneyValue, thousandsSeparator, decimalSeparator, precision) {
+  const roundedNumber = (moneyValue / 100).toFixed(precision);
+
+  let [a, b] = roundedNumber.split('.');
+  if (!a) a = '0';
+  if (!b) b = '';
+
+  // Split by groups of 3 digits
+  a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+  return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+}
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
@@ -0,0 +1,288 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, CartErrorEvent, ThemeEvents } from '@theme/events';
+import { cartStore, CartError, getCartItemsSectionIds } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+
+/** @typedef {import('./cart').CartLine} CartLine */
+
+/**
+ * A custom element with a grid of quantity inputs, one per variant, that adds all the variants with a quantity to
+ * the cart in one request.
+ *
+ * Quantities are checked against the quantity rules and the inventory before the request is sent. When the cart
+ * rejects the request, the server may still have added part of the items, so the cart is compared before and after:
+ * every input whose quantity wasn't added gets a `CartErrorEvent`, then a single `CartAddEvent` is dispatched for
+ * the whole request.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement[]} inputs - The quantity inputs.
+ * @property {HTMLElement} total - The total quantity and price.
+ * @property {HTMLButtonElement} submitButton - The add to cart button.
+ * @property {HTMLElement} error - The message of errors that don't belong to an input.
+ *
+ * @extends {Component<Refs>}
+ */
+class VariantMatrix extends Component {
+  requiredRefs = ['total', 'submitButton', 'error'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.addEventListener(ThemeEvents.cartError, this.#handleCartError);
+    this.update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener(ThemeEvents.cartError, this.#handleCartError);
+  }
+
+  /**
+   * Shows the total quantity and price.
+   * @param {Event} [event] - The change event of an input, whose message is cleared.
+   */
+  update(event) {
+    const { total, submitButton } = this.refs;
+    let quantity = 0;
+    let price = 0;
+
+    if (event?.target instanceof HTMLInputElement) this.#showMessage(event.target);
+
+    for (const input of this.#inputs) {
+      const inputQuantity = getQuantity(input);
+
+      quantity += inputQuantity;
+      price += inputQuantity * Number(input.dataset.price);
+    }
+
+    total.textContent = (this.dataset.totalMessage ?? '')
+      .replace('[quantity]', String(quantity))
+      .replace('[price]', formatCents(price));
+    submitButton.disabled = quantity === 0;
+  }
+
+  /**
+   * Adds the variants with a quantity to the cart.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async submit(event) {
+    event.preventDefault();
+
+    const { submitButton, error } = this.refs;
+    const inputs = this.#inputs.filter((input) => getQuantity(input) > 0);
+
+    error.classList.add('hidden');
+
+    if (inputs.length === 0) return;
+
+    const invalidInputs = inputs.filter((input) => !this.#validate(input));
+
+    if (invalidInputs.length > 0) {
+      invalidInputs[0]?.focus();
+      return;
+    }
+
+    const quantitiesBefore = getCartQuantities();
+    const items = inputs.map((input) => ({ id: Number(input.dataset.variantId), quantity: getQuantity(input) }));
+
+    submitButton.disabled = true;
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      // The request is silent, so the events are dispatched once the failed inputs are known
+      const { sections, items: addedItems = [] } = await cartStore.add(items, {
+        silent: true,
+        sections: getCartItemsSectionIds(),
+      });
+
+      inputs.forEach(resetInput);
+      this.#dispatchCartAdd(addedItems, sections, false);
+    } catch (addError) {
+      if (!(addError instanceof CartError)) {
+        error.textContent = Theme.translations.cart_update_error ?? '';
+        error.classList.remove('hidden');
+        return;
+      }
+
+      const quantitiesAfter = getCartQuantities();
+      const failedInputs = inputs.filter((input) => {
+        const variantId = Number(input.dataset.variantId);
+        const added = (quantitiesAfter.get(variantId) ?? 0) - (quantitiesBefore.get(variantId) ?? 0);
+
+        return added < getQuantity(input);
+      });
+      const addedInputs = inputs.filter((input) => !failedInputs.includes(input));
+
+      for (const input of failedInputs) {
+        input.dispatchEvent(
+          new CartErrorEvent(input.id, addError.message, addError.description ?? '', addError.errors ?? {})
+        );
+      }
+
+      // The cart may reject the request for a reason that isn't about a quantity, e.g. a checkout restriction
+      if (failedInputs.length === 0) {
+        error.textContent = addError.description || addError.message;
+        error.classList.remove('hidden');
+      }
+
+      addedInputs.forEach(resetInput);
+      this.#dispatchCartAdd(getCartLines(addedInputs), {}, true);
+      failedInputs[0]?.focus();
+    } finally {
+      this.removeAttribute('aria-busy');
+      this.update();
+    }
+  }
+
+  /**
+   * The quantity inputs.
+   * @returns {HTMLInputElement[]}
+   */
+  get #inputs() {
+    return this.refs.inputs ?? [];
+  }
+
+  /**
+   * Notifies the cart components of the request, with a single event for all the inputs.
+   * @param {CartLine[]} items - The added lines.
+   * @param {Record<string, string>} sections - The rendered sections.
+   * @param {boolean} didError - Whether part of the items couldn't be added.
+   */
+  #dispatchCartAdd(items, sections, didError) {
+    const cart = cartStore.get();
+
+    cartStore.publish();
+
+    this.dispatchEvent(
+      new CartAddEvent(cart, this.id, {
+        source: 'variant-matrix',
+        productId: this.dataset.productId,
+        itemCount: cart.item_count,
+        items,
+        sections,
+        didError,
+      })
+    );
+  }
+
+  /**
+   * Shows the error of a cart request next to the input it was dispatched from.
+   * @param {Event} event - The cart error event.
+   */
+  #handleCartError = (event) => {
+    if (!(event instanceof CartErrorEvent) || !(event.target instanceof HTMLInputElement)) return;
+
+    const { message, description } = event.detail.data;
+
+    this.#showMessage(event.target, typeof description === 'string' && description ? description : message);
+  };
+
+  /**
+   * Checks the quantity of an input against the quantity rules and the inventory, counting the quantity already in
+   * the cart, and shows a message when it's not valid.
+   * @param {HTMLInputElement} input - The quantity input.
+   * @returns {boolean} Whether the quantity is valid.
+   */
+  #validate(input) {
+    const translations = Theme.translations;
+    const quantity = getQuantity(input);
+    const min = Number(input.dataset.min) || 1;
+    const max = input.dataset.max ? Number(input.dataset.max) : null;
+    const increment = Number(input.dataset.increment) || 1;
+    const inventory = input.dataset.inventory ? Number(input.dataset.inventory) : null;
+    const inCart = getCartQuantities().get(Number(input.dataset.variantId)) ?? 0;
+    const caps = [max, inventory].filter((cap) => cap !== null).map((cap) => Number(cap));
+    let message = '';
+
+    if (quantity < min) {
+      message = (translations.quantity_error_min ?? '').replace('[quantity]', String(min));
+    } else if (caps.length > 0 && quantity > Math.min(...caps) - inCart) {
+      const cap = Math.min(...caps);
+      const available = Math.max(0, cap - inCart);
+
+      if (inCart > 0) {
+        message = (translations.quantity_error_in_cart ?? '')
+          .replace('[in_cart]', String(inCart))
+          .replace('[quantity]', String(available));
+      } else if (cap === inventory) {
+        message = (translations.quantity_error_inventory ?? '').replace('[quantity]', String(cap));
+      } else {
+        message = (translations.quantity_error_max ?? '').replace('[quantity]', String(cap));
+      }
+    } else if (quantity % increment !== 0) {
+      message = (translations.quantity_error_increment ?? '').replace('[quantity]', String(increment));
+    }
+
+    this.#showMessage(input, message);
+
+    return !message;
+  }
+
+  /**
+   * Shows a message under an input, or hides it.
+   * @param {HTMLInputElement} input - The quantity input.
+   * @param {string} [message] - The message.
+   */
+  #showMessage(input, message = '') {
+    const messageElement = document.getElementById(`${input.id}-Error`);
+
+    if (messageElement) {
+      messageElement.textContent = message;
+      messageElement.classList.toggle('hidden', !message);
+    }
+
+    if (message) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+}
+
+/**
+ * Gets the quantity of an input, 0 when it's empty or not a number.
+ * @param {HTMLInputElement} input - The quantity input.
+ * @returns {number} The quantity.
+ */
+function getQuantity(input) {
+  return Math.max(0, parseInt(input.value) || 0);
+}
+
+/**
+ * Sets an input back to 0 once its quantity was added.
+ * @param {HTMLInputElement} input - The quantity input.
+ */
+function resetInput(input) {
+  input.value = '0';
+}
+
+/**
+ * Gets the quantities of the variants in the cart.
+ * @returns {Map<number, number>} The quantities, by variant id.
+ */
+function getCartQuantities() {
+  /** @type {Map<number, number>} */
+  const quantities = new Map();
+
+  for (const { variant_id, quantity } of cartStore.get().items) {
+    quantities.set(variant_id, (quantities.get(variant_id) ?? 0) + quantity);
+  }
+
+  return quantities;
+}
+
+/**
+ * Gets the cart lines of the variants of some inputs.
+ * @param {HTMLInputElement[]} inputs - The quantity inputs.
+ * @returns {CartLine[]} The lines.
+ */
+function getCartLines(inputs) {
+  const variantIds = new Set(inputs.map((input) => Number(input.dataset.variantId)));
+
+  return cartStore.get().items.filter((item) => variantIds.has(item.variant_id));
+}
+
+if (!customElements.get('variant-matrix')) {
+  customElements.define('variant-matrix', VariantMatrix);
+}
@@ -1,11 +1,29 @@
 import { Component } from '@theme/component';
 import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
-import { requestYieldCallback } from '@theme/utilities';
+import { normalizeString, onDocumentReady, requestYieldCallback } from '@theme/utilities';
+
+/**
+ * A variant embedded in the variant picker.
+ *
+ * @typedef {object} PickerVariant
+ * @property {number} id - The variant id
+ * @property {boolean} available - Whether the variant is available
+ * @property {boolean} [preorder] - Whether the variant is sold as a pre-order
+ * @property {string[]} options - The values of the variant, in the order of the product options
+ */
 
 /**
  * A custom element that manages a variant picker.
  *
+ * When the variants are embedded in a `script[data-variants]`, the selected variant and the availability of every
+ * value are resolved as soon as a value is selected. The section is still fetched to update the price, media and
+ * inventory, and the picker is morphed with it.
+ *
+ * Options can also be selected by name from the query parameters of the page, e.g. `?color=black&size=m`, regardless
+ * of case and accents. When the variants are embedded, the closest variant is selected, preferring available ones.
+ * With `data-option-names-in-url`, the product page URL is written back in that form instead of `?variant=<id>`.
+ *
  * @template {import('@theme/component').Refs} [Refs = {}]
  *
  * @extends Component<Refs>
@@ -21,6 +39,9 @@ export default class VariantPicker extends Component {
     super.connectedCallback();
 
     this.addEventListener('change', this.variantChanged.bind(this));
+
+    // Wait for the other components of the product to listen to the variant events
+    onDocumentReady(() => this.#selectValuesFromUrl());
   }
 
   /**
@@ -36,7 +57,18 @@ export default class VariantPicker extends Component {
     if (!selectedOption) return;
 
     this.updateSelectedOption(event.target);
-    this.dispatchEvent(new VariantSelectedEvent({ id: selectedOption.dataset.optionValueId ?? '' }));
+
+    const variant = this.#resolveSelectedVariant();
+
+    this.dispatchEvent(
+      new VariantSelectedEvent(
+        { id: selectedOption.dataset.optionValueId ?? '' },
+        {
+          productId: this.dataset.productId ?? '',
+          variant: variant && { id: variant.id, available: variant.available, preorder: variant.preorder },
+        }
+      )
+    );
 
     const isOnProductPage =
       this.dataset.templateProductMatch === 'true' &&
@@ -56,7 +88,20 @@ export default class VariantPicker extends Component {
     const variantId = selectedOption.dataset.variantId || null;
 
     if (isOnProductPage) {
-      if (variantId) {
+      const optionParams = this.#optionParams;
+
+      // The options of a link were only needed to select the variant, they'd conflict with the next selection
+      for (const { name } of optionParams) {
+        for (const key of getOptionParamKeys(url.searchParams, name)) url.searchParams.delete(key);
+      }
+
+      if (this.hasAttribute('data-option-names-in-url') && !loadsNewProduct) {
+        url.searchParams.delete('variant');
+
+        for (const { name, value } of optionParams) {
+          if (value) url.searchParams.set(normalizeString(name), normalizeString(value));
+        }
+      } else if (variantId) {
         url.searchParams.set('variant', variantId);
       } else {
         url.searchParams.delete('variant');
@@ -106,6 +151,221 @@ export default class VariantPicker extends Component {
     }
   }
 
+  /**
+   * Resolves the variant of the selected values from the embedded variants, and updates the availability, the
+   * variant and the strikethrough of every value the way the section renders them.
+   * @returns {PickerVariant | null | undefined} The selected variant, null when the selected values don't match a
+   * variant, undefined when the variants aren't embedded or the values load other products (combined listing).
+   */
+  #resolveSelectedVariant() {
+    const variants = this.#variants;
+
+    if (!variants) return undefined;
+
+    const valueElements = this.#valueElements;
+    const selectedValues = this.#selectedValues;
+
+    for (const element of valueElements) {
+      const index = getOptionIndex(element);
+      const values = [...selectedValues];
+      values[index] = element.value;
+
+      // As in Liquid, a value is available when an available variant has it along with the values selected before it
+      const available = variants.some(
+        (variant) => variant.available && values.slice(0, index + 1).every((value, i) => variant.options[i] === value)
+      );
+
+      updateValue(element, available, findVariant(variants, values));
+    }
+
+    for (const fieldset of this.querySelectorAll('fieldset')) {
+      const swatchValue = fieldset.querySelector('.variant-option__swatch-value');
+      const checkedInput = fieldset.querySelector('input:checked');
+
+      if (swatchValue && checkedInput instanceof HTMLInputElement) swatchValue.textContent = checkedInput.value;
+    }
+
+    return findVariant(variants, selectedValues) ?? null;
+  }
+
+  /**
+   * Selects the values named in the query parameters of the product URL.
+   */
+  #selectValuesFromUrl() {
+    const params = this.#urlParams;
+
+    /** @type {(HTMLInputElement | HTMLOptionElement)[]} */
+    const requestedElements = [];
+
+    for (const group of this.querySelectorAll('[data-option-name]')) {
+      if (!(group instanceof HTMLElement)) continue;
+
+      const [key] = getOptionParamKeys(params, group.dataset.optionName ?? '');
+      const requestedValue = normalizeString(key ? (params.get(key) ?? '') : '');
+      const element =
+        requestedValue &&
+        this.#valueElements.find(
+          (element) => group.contains(element) && normalizeString(element.value) === requestedValue
+        );
+
+      if (element) requestedElements.push(element);
+    }
+
+    if (requestedElements.length === 0) return;
+
+    const variant = this.#findClosestVariant(requestedElements);
+    const elements = variant
+      ? this.#valueElements.filter((element) => variant.options[getOptionIndex(element)] === element.value)
+      : requestedElements;
+    const changedElements = elements.filter((element) => !isSelected(element));
+    const lastChangedElement = changedElements[changedElements.length - 1];
+
+    if (!lastChangedElement) return;
+
+    for (const element of changedElements) {
+      const select = element instanceof HTMLOptionElement ? element.closest('select') : null;
+
+      if (select) select.value = element.value;
+
+      this.updateSelectedOption(select ?? element);
+    }
+
+    // The change goes through the regular flow, which fetches the section and updates the URL
+    const target = lastChangedElement instanceof HTMLOptionElement ? lastChangedElement.closest('select') : null;
+
+    (target ?? lastChangedElement).dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * The query parameters of the product URL. The page URL only belongs to the product of the template, the pickers of
+   * product cards and quick add use the link of their own product.
+   * @returns {URLSearchParams}
+   */
+  get #urlParams() {
+    const isOnProductPage =
+      this.dataset.templateProductMatch === 'true' &&
+      !this.closest('product-card') &&
+      !this.closest('quick-add-dialog');
+
+    if (isOnProductPage) return new URLSearchParams(window.location.search);
+
+    const cardLink = this.closest('product-card')?.querySelector('a.product-card__link');
+    const productUrl = cardLink?.getAttribute('href') || this.dataset.productUrl || '';
+
+    return new URL(productUrl, window.location.origin).searchParams;
+  }
+
+  /**
+   * Finds the variant closest to the requested values: a variant with all of them first, then an available one, then
+   * the one with the most of them, the first options counting most, then the one with the most values already
+   * selected.
+   * @param {(HTMLInputElement | HTMLOptionElement)[]} requestedElements - The requested values, in option order.
+   * @returns {PickerVariant | undefined} The variant, undefined when the variants aren't embedded.
+   */
+  #findClosestVariant(requestedElements) {
+    const variants = this.#variants;
+
+    if (!variants) return undefined;
+
+    const selectedValues = this.#selectedValues;
+
+    /**
+     * @param {PickerVariant} variant
+     * @returns {number[]}
+     */
+    const rank = (variant) => {
+      const matches = requestedElements.map((element) =>
+        Number(variant.options[getOptionIndex(element)] === element.value)
+      );
+
+      return [
+        Number(matches.every(Boolean)),
+        Number(variant.available),
+        ...matches,
+        selectedValues.filter((value, i) => variant.options[i] === value).length,
+      ];
+    };
+
+    let closestVariant = variants[0];
+    let closestRank = closestVariant ? rank(closestVariant) : [];
+
+    for (const variant of variants.slice(1)) {
+      const variantRank = rank(variant);
+      const difference = variantRank.map((value, i) => value - (closestRank[i] ?? 0)).find((value) => value !== 0);
+
+      if (difference && difference > 0) {
+        closestVariant = variant;
+        closestRank = variantRank;
+      }
+    }
+
+    return closestVariant;
+  }
+
+  /**
+   * The inputs and the options of the values.
+   * @returns {(HTMLInputElement | HTMLOptionElement)[]}
+   */
+  get #valueElements() {
+    return Array.from(this.querySelectorAll('[data-input-id]')).filter(
+      (element) => element instanceof HTMLInputElement || element instanceof HTMLOptionElement
+    );
+  }
+
+  /**
+   * The selected values, in the order of the product options.
+   * @returns {string[]}
+   */
+  get #selectedValues() {
+    /** @type {string[]} */
+    const selectedValues = [];
+
+    for (const element of this.#valueElements) {
+      if (isSelected(element)) selectedValues[getOptionIndex(element)] = element.value;
+    }
+
+    return selectedValues;
+  }
+
+  /**
+   * The names of the options and their selected values.
+   * @returns {{ name: string, value: string | undefined }[]}
+   */
+  get #optionParams() {
+    return Array.from(this.querySelectorAll('[data-option-name]'), (group) => {
+      const selected = Array.from(group.querySelectorAll('[data-input-id]')).find(
+        (element) =>
+          (element instanceof HTMLInputElement || element instanceof HTMLOptionElement) && isSelected(element)
+      );
+
+      return {
+        name: group instanceof HTMLElement ? (group.dataset.optionName ?? '') : '',
+        value:
+          selected instanceof HTMLInputElement || selected instanceof HTMLOptionElement ? selected.value : undefined,
+      };
+    });
+  }
+
+  /**
+   * The variants embedded in the picker, null when they aren't or the values load other products (combined listing).
+   * @returns {PickerVariant[] | null}
+   */
+  get #variants() {
+    const textContent = this.querySelector('script[data-variants]')?.textContent;
+
+    if (!textContent || this.querySelector('[data-connected-product-url]:not([data-connected-product-url=""])')) {
+      return null;
+    }
+
+    try {
+      const variants = JSON.parse(textContent);
+
+      return Array.isArray(variants) ? variants : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
   /**
    * Builds the request URL.
    * @param {HTMLElement} selectedOption - The selected option.
@@ -130,8 +390,12 @@ export default class VariantPicker extends Component {
       }
     }
 
-    // If variant-picker is a child of quick-add-component or swatches-variant-picker-component, we need to append section_id=section-rendering-product-card to the URL
-    if (this.closest('quick-add-component') || this.closest('swatches-variant-picker-component')) {
+    // If variant-picker is a child of quick-add-component, swatches-variant-picker-component or cart-variant-editor, we need to append section_id=section-rendering-product-card to the URL
+    if (
+      this.closest('quick-add-component') ||
+      this.closest('swatches-variant-picker-component') ||
+      this.closest('cart-variant-editor')
+    ) {
       if (productUrl?.includes('?')) {
         productUrl = productUrl.split('?')[0];
       }
@@ -289,6 +553,110 @@ export default class VariantPicker extends Component {
   }
 }
 
+/**
+ * Checks if a value is selected.
+ * @param {HTMLInputElement | HTMLOptionElement} element - The input or the option of the value.
+ * @returns {boolean}
+ */
+function isSelected(element) {
+  return element instanceof HTMLOptionElement ? element.hasAttribute('selected') : element.checked;
+}
+
+/**
+ * Gets the index of the product option of a value, from its `data-input-id` (`position-index`).
+ * @param {HTMLElement} element - The input or the option of the value.
+ * @returns {number}
+ */
+function getOptionIndex(element) {
+  return Number(element.dataset.inputId?.split('-')[0]) - 1;
+}
+
+/**
+ * Gets the keys of the query parameters naming an option, regardless of case and accents.
+ * @param {URLSearchParams} params - The query parameters.
+ * @param {string} name - The option name.
+ * @returns {string[]}
+ */
+function getOptionParamKeys(params, name) {
+  const normalizedName = normalizeString(name);
+
+  return Array.from(new Set(params.keys())).filter((key) => name && normalizeString(key) === normalizedName);
+}
+
+/**
+ * Finds the variant with some values.
+ * @param {PickerVariant[]} variants - The variants.
+ * @param {string[]} values - The values, in the order of the product options.
+ * @returns {PickerVariant | undefined}
+ */
+function findVariant(variants, values) {
+  return variants.find(
+    (variant) => variant.options.length === values.length && variant.options.every((value, i) => value === values[i])
+  );
+}
+
+/**
+ * Updates the availability and the variant of a value.
+ * @param {HTMLInputElement | HTMLOptionElement} element - The input or the option of the value.
+ * @param {boolean} available - Whether the value is available.
+ * @param {PickerVariant} [variant] - The variant selected with the value.
+ */
+function updateValue(element, available, variant) {
+  if (variant) {
+    element.dataset.variantId = String(variant.id);
+  } else {
+    delete element.dataset.variantId;
+  }
+
+  if (element instanceof HTMLOptionElement) {
+    element.textContent = available ? element.value : `${element.value} - ${Theme.translations.unavailable}`;
+    return;
+  }
+
+  element.dataset.optionAvailable = String(available);
+
+  if (available) {
+    element.removeAttribute('aria-disabled');
+  } else {
+    element.setAttribute('aria-disabled', 'true');
+  }
+
+  const label = element.closest('label');
+  const strikethrough = label?.querySelector('.variant-option__strikethrough');
+
+  if (available) {
+    strikethrough?.remove();
+  } else if (label && !strikethrough) {
+    label.append(createStrikethrough());
+  }
+}
+
+/**
+ * Creates the line striking through an unavailable value, as rendered by the `strikethrough-variant` snippet.
+ * @returns {SVGSVGElement}
+ */
+function createStrikethrough() {
+  const namespace = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(namespace, 'svg');
+  const line = document.createElementNS(namespace, 'line');
+
+  svg.setAttribute('class', 'variant-option__strikethrough');
+  svg.setAttribute('width', '100%');
+  svg.setAttribute('height', '100%');
+  svg.setAttribute('viewBox', '0 0 100 46');
+  svg.setAttribute('preserveAspectRatio', 'xMidYMid slice');
+
+  line.setAttribute('x1', '100');
+  line.setAttribute('y1', '0');
+  line.setAttribute('x2', '0');
+  line.setAttribute('y2', '46');
+  line.setAttribute('vector-effect', 'non-scaling-stroke');
+
+  svg.append(line);
+
+  return svg;
+}
+
 if (!customElements.get('variant-picker')) {
   customElements.define('variant-picker', VariantPicker);
 }
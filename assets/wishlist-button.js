@@ -0,0 +1,98 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that adds a product to the wishlist, or removes it.
+ *
+ * The selected variant and its price are saved with the product, and follow the variant picker of the section,
+ * dialog or product card the button is in.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} button - The toggle button.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistButton extends Component {
+  requiredRefs = ['button'];
+
+  #abortController = new AbortController();
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog, product-card');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+
+    this.#unsubscribe = wishlist.subscribe(this.#update);
+    this.#update();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * Adds the product to the wishlist, or removes it.
+   */
+  toggle() {
+    const { productId, variantId, price } = this.dataset;
+
+    if (!productId) return;
+
+    wishlist.toggle({
+      productId: Number(productId),
+      ...(variantId ? { variantId: Number(variantId) } : {}),
+      ...(price ? { price: Number(price) } : {}),
+    });
+  }
+
+  /**
+   * Shows whether the product is in the wishlist.
+   */
+  #update = () => {
+    const { productId } = this.dataset;
+    const saved = Boolean(productId) && wishlist.has(Number(productId));
+
+    this.refs.button.setAttribute('aria-pressed', String(saved));
+  };
+
+  /**
+   * Keeps the selected variant and its price, to save them with the product.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    const { resource, data } = event.detail;
+
+    if (data.newProduct) {
+      this.dataset.productId = data.newProduct.id;
+    } else if (event.target instanceof HTMLElement && event.target.dataset.productId !== this.dataset.productId) {
+      return;
+    }
+
+    if (resource) {
+      this.dataset.variantId = String(resource.id);
+      if ('price' in resource) this.dataset.price = String(resource.price);
+    }
+
+    this.#update();
+  };
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define('wishlist-button', WishlistButton);
+}
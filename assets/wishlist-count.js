@@ -0,0 +1,48 @@
+import { Component } from '@theme/component';
+import { wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that shows the number of products in the wishlist, e.g. on the wishlist link of the header.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} bubble - The bubble showing the count.
+ * @property {HTMLElement} count - The count.
+ * @property {HTMLElement} label - The accessible label, with the count.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistCount extends Component {
+  requiredRefs = ['bubble', 'count', 'label'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = wishlist.subscribe(this.#render);
+    this.#render(wishlist.get());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  /**
+   * @param {import('./wishlist').WishlistItem[]} items - The products in the wishlist.
+   */
+  #render = (items) => {
+    const { bubble, count, label } = this.refs;
+    const { length } = items;
+
+    count.textContent = length < 100 ? String(length) : '99+';
+    bubble.classList.toggle('hidden', length === 0);
+    label.textContent = (this.dataset.countLabel ?? '').replace('[count]', String(length));
+  };
+}
+
+if (!customElements.get('wishlist-count')) {
+  customElements.define('wishlist-count', WishlistCount);
+}
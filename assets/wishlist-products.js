@@ -0,0 +1,127 @@
+import { Component } from '@theme/component';
+import { sectionRenderer } from '@theme/section-renderer';
+import { wishlist } from '@theme/wishlist';
+
+/** @typedef {import('./wishlist').WishlistItem} WishlistItem */
+
+/**
+ * The maximum number of products shown, the number of results the search returns.
+ */
+const MAX_PRODUCTS = 50;
+
+/**
+ * A custom element that shows the products in the wishlist, the most recently saved first.
+ *
+ * The wishlist is only known in the browser, so the product cards are rendered by fetching the section from the
+ * search page with a query for the ids of the products. Removed products are taken out of the list without fetching
+ * it again.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} list - The list of products.
+ * @property {HTMLElement} emptyState - The message shown when the wishlist is empty.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistProducts extends Component {
+  requiredRefs = ['list', 'emptyState'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  /** @type {AbortController | undefined} */
+  #abortController;
+
+  async connectedCallback() {
+    super.connectedCallback();
+
+    await wishlist.ready;
+
+    // The element may have been removed while the wishlist was loading
+    if (!this.isConnected) return;
+
+    this.#unsubscribe = wishlist.subscribe(this.#render);
+    this.#render(wishlist.get());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+    this.#abortController?.abort();
+  }
+
+  /**
+   * Shows the products in the wishlist, fetching the cards of products that aren't shown yet.
+   * @param {WishlistItem[]} items - The products in the wishlist.
+   */
+  #render = async (items) => {
+    const { list, emptyState } = this.refs;
+    const productIds = items.slice(0, MAX_PRODUCTS).map(({ productId }) => String(productId));
+    const cards = this.#getCards(list);
+
+    emptyState.classList.toggle('hidden', productIds.length > 0);
+    list.classList.toggle('hidden', productIds.length === 0);
+
+    if (productIds.some((id) => !cards.has(id)) && list.dataset.loaded !== productIds.join()) {
+      this.#abortController?.abort();
+      this.#abortController = new AbortController();
+
+      const { signal } = this.#abortController;
+
+      try {
+        const html = await this.#fetchCards(productIds);
+
+        if (signal.aborted) return;
+
+        this.#getCards(html).forEach((card, id) => cards.set(id, card));
+
+        // Products that aren't found, e.g. unpublished ones, aren't fetched again until the wishlist changes
+        list.dataset.loaded = productIds.join();
+      } catch (error) {
+        console.error('Wishlist error:', error);
+        return;
+      }
+    }
+
+    list.replaceChildren(...productIds.flatMap((id) => cards.get(id) ?? []));
+  };
+
+  /**
+   * Fetches the section with the cards of the products.
+   * @param {string[]} productIds - The product ids.
+   * @returns {Promise<Document>} The rendered section.
+   */
+  async #fetchCards(productIds) {
+    const { sectionId } = this.dataset;
+
+    if (!sectionId) throw new Error('Section id is required');
+
+    const url = new URL(Theme.routes.search_url, location.origin);
+    url.searchParams.set('q', productIds.map((id) => `id:${id}`).join(' OR '));
+    url.searchParams.set('resources[type]', 'product');
+
+    const html = await sectionRenderer.getSectionHTML(sectionId, false, url);
+
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Gets the product cards of a list, by product id.
+   * @param {ParentNode} root - The list, or the rendered section.
+   * @returns {Map<string, HTMLElement>} The cards.
+   */
+  #getCards(root) {
+    /** @type {Map<string, HTMLElement>} */
+    const cards = new Map();
+
+    for (const card of root.querySelectorAll('.wishlist-products__item')) {
+      if (card instanceof HTMLElement && card.dataset.productId) cards.set(card.dataset.productId, card);
+    }
+
+    return cards;
+  }
+}
+
+if (!customElements.get('wishlist-products')) {
+  customElements.define('wishlist-products', WishlistProducts);
+}
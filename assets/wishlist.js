@@ -0,0 +1,208 @@
+/**
+ * A product in the wishlist.
+ *
+ * @typedef {object} WishlistItem
+ * @property {number} productId - The product id
+ * @property {number} [variantId] - The id of the variant that was selected when the product was saved
+ * @property {number} addedAt - When the product was saved, in milliseconds since the epoch
+ * @property {number} [price] - The price when the product was saved, in cents
+ */
+
+/**
+ * @typedef {(items: WishlistItem[]) => void} WishlistSubscriber
+ */
+
+/**
+ * Where the wishlist is kept. The default storage keeps it in the browser, another storage can keep it elsewhere,
+ * e.g. in a customer metafield, without changing the components using the wishlist.
+ *
+ * @typedef {object} WishlistStorage
+ * @property {() => Promise<WishlistItem[]>} load - Loads the items
+ * @property {(items: WishlistItem[]) => Promise<void>} save - Saves the items
+ * @property {(callback: WishlistSubscriber) => () => void} [subscribe] - Subscribes to changes made outside of this
+ * page, e.g. in other tabs, and returns a function to unsubscribe
+ */
+
+/**
+ * The storage key of the wishlist.
+ */
+const STORAGE_KEY = 'theme:wishlist';
+
+/**
+ * Keeps the wishlist in local storage. Changes made in other tabs are picked up through the `storage` event.
+ *
+ * @implements {WishlistStorage}
+ */
+export class LocalWishlistStorage {
+  /**
+   * @returns {Promise<WishlistItem[]>}
+   */
+  async load() {
+    try {
+      const items = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+
+      return Array.isArray(items) ? items : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {WishlistItem[]} items - The items
+   * @returns {Promise<void>}
+   */
+  async save(items) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (_) {
+      // Storage may be full or unavailable, the items are kept for this page
+    }
+  }
+
+  /**
+   * @param {WishlistSubscriber} callback - Called with the items when they change in another tab
+   * @returns {() => void} A function to unsubscribe
+   */
+  subscribe(callback) {
+    /** @param {StorageEvent} event */
+    const handleStorage = async (event) => {
+      if (event.key === STORAGE_KEY) callback(await this.load());
+    };
+
+    window.addEventListener('storage', handleStorage);
+
+    return () => window.removeEventListener('storage', handleStorage);
+  }
+}
+
+/**
+ * The wishlist, a list of products with the variant and price they were saved with.
+ */
+class Wishlist {
+  /** @type {WishlistItem[]} */
+  #items = [];
+
+  /** @type {WishlistStorage} */
+  #storage;
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribeStorage;
+
+  /** @type {Set<WishlistSubscriber>} */
+  #subscribers = new Set();
+
+  /**
+   * Resolves once the items are loaded from the storage.
+   * @type {Promise<void>}
+   */
+  ready;
+
+  /**
+   * @param {WishlistStorage} storage - The storage
+   */
+  constructor(storage) {
+    this.#storage = storage;
+    this.ready = this.useStorage(storage);
+  }
+
+  /**
+   * Switches to another storage, and loads the items from it.
+   * @param {WishlistStorage} storage - The storage
+   * @returns {Promise<void>} Resolves once the items are loaded
+   */
+  useStorage(storage) {
+    this.#unsubscribeStorage?.();
+    this.#storage = storage;
+    this.#unsubscribeStorage = storage.subscribe?.((items) => this.#set(items));
+
+    this.ready = storage
+      .load()
+      .then((items) => this.#set(items))
+      .catch((error) => console.error('Wishlist error:', error));
+
+    return this.ready;
+  }
+
+  /**
+   * Gets the items, the most recently saved first.
+   * @returns {WishlistItem[]} The items
+   */
+  get() {
+    return this.#items;
+  }
+
+  /**
+   * Checks whether a product is in the wishlist.
+   * @param {number} productId - The product id
+   * @returns {boolean} Whether the product is in the wishlist
+   */
+  has(productId) {
+    return this.#items.some((item) => item.productId === productId);
+  }
+
+  /**
+   * Subscribes to changes of the wishlist.
+   * @param {WishlistSubscriber} callback - Called with the items every time they change
+   * @returns {() => void} A function to unsubscribe
+   */
+  subscribe(callback) {
+    this.#subscribers.add(callback);
+
+    return () => this.#subscribers.delete(callback);
+  }
+
+  /**
+   * Adds a product to the wishlist. Adding a product again moves it to the top with the new variant and price.
+   * @param {Omit<WishlistItem, 'addedAt'>} item - The product
+   */
+  add(item) {
+    const items = this.#items.filter(({ productId }) => productId !== item.productId);
+
+    this.#commit([{ ...item, addedAt: Date.now() }, ...items]);
+  }
+
+  /**
+   * Removes a product from the wishlist.
+   * @param {number} productId - The product id
+   */
+  remove(productId) {
+    this.#commit(this.#items.filter((item) => item.productId !== productId));
+  }
+
+  /**
+   * Adds a product to the wishlist, or removes it if it's already there.
+   * @param {Omit<WishlistItem, 'addedAt'>} item - The product
+   * @returns {boolean} Whether the product is in the wishlist now
+   */
+  toggle(item) {
+    if (this.has(item.productId)) {
+      this.remove(item.productId);
+      return false;
+    }
+
+    this.add(item);
+    return true;
+  }
+
+  /**
+   * Updates the items and saves them to the storage.
+   * @param {WishlistItem[]} items - The items
+   */
+  #commit(items) {
+    this.#set(items);
+    this.#storage.save(items).catch((error) => console.error('Wishlist error:', error));
+  }
+
+  /**
+   * @param {WishlistItem[]} items - The items
+   */
+  #set(items) {
+    this.#items = items;
+
+    for (const callback of this.#subscribers) {
+      callback(items);
+    }
+  }
+}
+
+export const wishlist = new Wishlist(new LocalWishlistStorage());